@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/*
+ LightTaskSheet - bin/lts.js
+ Command line client for the task sheet. Talks to a running server through
+ the API, or with --data-dir works offline on a JSON data directory.
+
+   lts login [--server http://localhost:3000] [--username NAME] [--token lts_...]
+   lts logout
+   lts sheets                         list sheets
+   lts use <sheet>                    default sheet for the other commands
+   lts tree [--status S] [--search TEXT] [--under ROW] [--ids]
+   lts add <text> [--under ROW] [--status S] [--set Column=value ...]
+   lts status <ROW> <status>
+   lts export csv|json|xlsx [--out FILE]
+
+ <sheet> is a sheet name or id; ROW is a hierarchy number as shown by tree
+ ("2.1") or a row id. Every command takes --sheet <sheet>.
+
+ login stores the server, access and refresh tokens in ~/.config/lts/config.json
+ (LTS_CONFIG to change); --token stores a personal access token instead.
+ LTS_SERVER and LTS_TOKEN override the stored ones.
+
+ Offline mode (--data-dir data [--user NAME]) reads and writes the JSON
+ store directly, for when the server is down. It sees every sheet, saves
+ as NAME (default: the system user) and does not notify open browsers,
+ fire webhooks or write the audit log.
+
+ Rows are numbered by shared/sheet_tree.js and exported by
+ shared/sheet_export.js, the same code the browser uses.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { applyOps } = require('../shared/sheet_ops');
+const { validateSheet } = require('../shared/sheet_schema');
+const { annotateRows } = require('../shared/sheet_tree');
+const { toCSV, toJSON, toXLSX } = require('../shared/sheet_export');
+const { queryRows, cellUpdates, insertRowOp } = require('../lib/row_query');
+
+const CONFIG_FILE = process.env.LTS_CONFIG || path.join(os.homedir(), '.config', 'lts', 'config.json');
+const DEFAULT_SERVER = 'http://localhost:3000';
+const HIERARCHY_NUMBER = /^\d+(\.\d+)*$/;
+const USAGE = `Usage:
+  lts login [--server URL] [--username NAME] [--token lts_...]
+  lts logout
+  lts sheets
+  lts use <sheet>
+  lts tree [--status S] [--search TEXT] [--under ROW] [--ids]
+  lts add <text> [--under ROW] [--status S] [--set Column=value ...]
+  lts status <ROW> <status>
+  lts export csv|json|xlsx [--out FILE]
+Options: --sheet <name or id>, --data-dir DIR [--user NAME] to work offline`;
+
+class UsageError extends Error {}
+
+// Positionals plus --flag value pairs; --set may repeat, --ids takes no value
+function parseArgs(argv){
+  const args = { _: [], set: [] };
+  for(let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if(!a.startsWith('--')) { args._.push(a); continue; }
+    const name = a.slice(2);
+    if(name === 'ids') { args.ids = true; continue; }
+    if(i + 1 >= argv.length) throw new UsageError(`${a} needs a value`);
+    if(name === 'set') args.set.push(argv[++i]);
+    else if(['server', 'username', 'token', 'sheet', 'status', 'search', 'under', 'out', 'data-dir', 'user'].includes(name)) args[name] = argv[++i];
+    else throw new UsageError(`Unknown option ${a}`);
+  }
+  return args;
+}
+
+function loadConfig(){
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch(e) {
+    return {};
+  }
+}
+
+function saveConfig(config){
+  fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+// Reads one line; hidden input is not echoed when stdin is a terminal
+function ask(question, hidden){
+  return new Promise(resolve => {
+    // Hidden input echoes into an output that drops everything after the question
+    const masked = hidden && process.stdin.isTTY;
+    let muted = false;
+    const output = masked ? new Writable({ write(chunk, encoding, done){ if(!muted) process.stderr.write(chunk); done(); } }) : process.stderr;
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: process.stdin.isTTY });
+    rl.question(question, answer => {
+      rl.close();
+      if(masked) process.stderr.write('\n');
+      resolve(answer.trim());
+    });
+    muted = masked;
+  });
+}
+
+/* =======================
+   Backends: the API, or the JSON store with --data-dir
+   ======================= */
+function remoteBackend(config){
+  const server = (process.env.LTS_SERVER || config.server || DEFAULT_SERVER).replace(/\/+$/, '');
+  const apiToken = process.env.LTS_TOKEN || config.apiToken;
+
+  async function send(method, urlPath, body, token){
+    let res;
+    try {
+      res = await fetch(server + '/api' + urlPath, {
+        method,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, token ? { Authorization: 'Bearer ' + token } : {}),
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch(e) {
+      throw new Error(`Cannot reach ${server}: ${(e.cause && e.cause.message) || e.message}`);
+    }
+    const json = await res.json().catch(() => null);
+    return { status: res.status, ok: res.ok, json };
+  }
+
+  // Access tokens are short-lived: on 401 trade the refresh token for new
+  // ones (which replaces the refresh token too) and try once more
+  async function request(method, urlPath, body){
+    const token = apiToken || config.token;
+    if(!token) throw new Error('Not logged in; run lts login');
+    let res = await send(method, urlPath, body, token);
+    if(res.status === 401 && !apiToken && config.refreshToken) {
+      const refreshed = await send('POST', '/refresh', { refreshToken: config.refreshToken });
+      if(!refreshed.ok) throw new Error('Session expired; run lts login');
+      Object.assign(config, { token: refreshed.json.token, refreshToken: refreshed.json.refreshToken });
+      saveConfig(config);
+      res = await send(method, urlPath, body, config.token);
+    }
+    if(!res.ok) throw new Error((res.json && res.json.error) || `${method} ${urlPath} failed with ${res.status}`);
+    return res.json;
+  }
+
+  return {
+    server, send,
+    listSheets: async () => (await request('GET', '/sheets')).sheets,
+    loadSheet: async id => (await request('GET', `/sheets/${id}`)).sheet,
+    addRow: async (id, fields) => (await request('POST', `/sheets/${id}/rows`, fields)).row,
+    updateRow: async (id, rowId, fields) => (await request('PATCH', `/sheets/${id}/rows/${rowId}`, fields)).row
+  };
+}
+
+function localBackend(dataDir, user){
+  if(!fs.existsSync(dataDir)) throw new Error(`${dataDir} does not exist`);
+  const { createJsonStore } = require('../lib/json_store');
+  const { createSheets } = require('../lib/sheets');
+  const store = createJsonStore(dataDir);
+  const sheets = createSheets(store, { historyLimit: parseInt(process.env.HISTORY_LIMIT, 10) || 50 });
+
+  // Applies ops under the sheet's lock and saves them as a new revision
+  function save(id, makeOps){
+    return store.withSheet(id, () => {
+      const sheet = sheets.readSheet(id);
+      if(!sheet) throw new Error('Sheet is empty; save it in full first');
+      const ops = makeOps(sheet);
+      const next = applyOps(sheet, ops);
+      const problems = validateSheet(next);
+      if(problems.length) throw new Error('Invalid sheet: ' + problems[0]);
+      sheets.commitSheet(id, next, user);
+      return next;
+    });
+  }
+
+  return {
+    listSheets: async () => Object.values(sheets.loadSheetIndex()).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+    loadSheet: async id => sheets.readSheet(id),
+    async addRow(id, fields){
+      let rowId;
+      const next = save(id, sheet => {
+        const op = insertRowOp(sheet, fields);
+        rowId = op.row.id;
+        return [op];
+      });
+      return annotateRows(next).find(r => r.id === rowId);
+    },
+    async updateRow(id, rowId, fields){
+      const next = save(id, sheet => cellUpdates(sheet, fields.cells).map(u => ({ op: 'updateCell', rowId, col: u.col, value: u.value })));
+      return annotateRows(next).find(r => r.id === rowId);
+    }
+  };
+}
+
+/* =======================
+   Helpers for the commands
+   ======================= */
+async function pickSheet(backend, args, config){
+  const all = await backend.listSheets();
+  const wanted = args.sheet || (!args['data-dir'] && config.sheet);
+  if(!wanted) {
+    if(!all.length) throw new Error('No sheets yet; create one in the browser');
+    return all[0];
+  }
+  const byId = all.find(s => s.id === wanted);
+  if(byId) return byId;
+  const byName = all.filter(s => s.name.toLowerCase() === wanted.toLowerCase());
+  if(byName.length > 1) throw new Error(`Several sheets are called "${wanted}"; use the id (lts sheets)`);
+  if(!byName.length) throw new Error(`No sheet "${wanted}"`);
+  return byName[0];
+}
+
+async function loadSheet(backend, info){
+  const sheet = await backend.loadSheet(info.id);
+  if(!sheet) throw new Error(`Sheet "${info.name}" is empty`);
+  return sheet;
+}
+
+// A hierarchy number ("2.1") or a row id
+function findRow(sheet, ref){
+  const rows = annotateRows(sheet);
+  const row = HIERARCHY_NUMBER.test(ref) ? rows.find(r => r.hierarchyNumber === ref) : rows.find(r => r.id === ref);
+  if(!row) throw new Error(`No row ${ref}`);
+  return row;
+}
+
+// The Status option matching the given one, ignoring case
+function statusOption(sheet, value){
+  const col = sheet.columns.find(c => c.name === 'Status');
+  if(!col) throw new Error('The sheet has no Status column');
+  const option = col.options.find(o => o.toLowerCase() === String(value).toLowerCase());
+  if(!option) throw new Error(`Status must be one of ${col.options.join(', ')}`);
+  return option;
+}
+
+// The column "lts add <text>" fills in
+function textColumn(sheet){
+  const col = sheet.columns.find(c => c.type === 'text');
+  if(!col) throw new Error('The sheet has no text column; give the cells with --set');
+  return col.name;
+}
+
+function parseSets(sets){
+  const cells = {};
+  sets.forEach(pair => {
+    const i = pair.indexOf('=');
+    if(i < 1) throw new UsageError(`--set needs Column=value, not "${pair}"`);
+    cells[pair.slice(0, i)] = pair.slice(i + 1);
+  });
+  return cells;
+}
+
+function describeRow(sheet, row){
+  const statusCol = sheet.columns.findIndex(c => c.name === 'Status');
+  const textCol = sheet.columns.findIndex(c => c.type === 'text');
+  const text = textCol === -1 ? '' : String(row.cells[textCol] || '').split('\n')[0];
+  const status = statusCol === -1 || !row.cells[statusCol] ? '' : `  [${row.cells[statusCol]}]`;
+  return `${row.hierarchyNumber}  ${text}${status}`;
+}
+
+/* =======================
+   Commands
+   ======================= */
+const commands = {
+  async login(args, config){
+    const backend = remoteBackend(Object.assign({}, config, { server: args.server || config.server }));
+    if(args.token) {
+      const res = await backend.send('GET', '/sheets', null, args.token);
+      if(!res.ok) throw new Error((res.json && res.json.error) || 'Token was not accepted');
+      saveConfig({ server: backend.server, apiToken: args.token, sheet: config.sheet });
+      return console.log(`Saved the API token for ${backend.server}`);
+    }
+    const username = args.username || await ask('Username: ');
+    const password = await ask('Password: ', true);
+    let res = await backend.send('POST', '/login', { username, password });
+    if(res.ok && res.json.twoFactor === 'verify') {
+      const code = await ask('Two-factor code: ');
+      res = await backend.send('POST', '/login/2fa', { challenge: res.json.challenge, code });
+    }
+    if(!res.ok) throw new Error((res.json && res.json.error) || 'Login failed');
+    if(res.json.twoFactor === 'enroll') throw new Error('Your account must set up two-factor authentication; log in once in the browser first');
+    if(res.json.passwordChange) throw new Error('Your password is temporary; log in once in the browser to choose your own');
+    saveConfig({ server: backend.server, username: res.json.username, token: res.json.token, refreshToken: res.json.refreshToken, sheet: config.sheet });
+    console.log(`Logged in to ${backend.server} as ${res.json.username}`);
+  },
+
+  async logout(args, config){
+    if(config.refreshToken) await remoteBackend(config).send('POST', '/logout', { refreshToken: config.refreshToken }).catch(() => {});
+    saveConfig({ server: config.server });
+    console.log('Logged out');
+  },
+
+  async sheets(args, config, backend){
+    const all = await backend.listSheets();
+    if(!all.length) return console.log('No sheets');
+    all.forEach(s => console.log(`${s.id}  ${s.name}` + (s.role && s.role !== 'owner' ? `  (${s.role}, owner ${s.owner})` : '')));
+  },
+
+  async use(args, config, backend){
+    if(!args._[0]) throw new UsageError('lts use <sheet>');
+    const info = await pickSheet(backend, { sheet: args._[0] }, config);
+    config.sheet = info.id;
+    saveConfig(config);
+    console.log(`Using "${info.name}" (${info.id})`);
+  },
+
+  async tree(args, config, backend){
+    const sheet = await loadSheet(backend, await pickSheet(backend, args, config));
+    const query = {};
+    if(args.status) query.Status = statusOption(sheet, args.status);
+    if(args.search) query.q = args.search;
+    if(args.under) query.under = findRow(sheet, args.under).id;
+    let rows = [], page;
+    do {
+      page = queryRows(sheet, Object.assign({ limit: '1000', offset: String(rows.length) }, query));
+      rows = rows.concat(page.rows);
+    } while(rows.length < page.total);
+    if(!rows.length) return console.log('No tasks');
+    rows.forEach(row => console.log('  '.repeat(row.nestingLevel) + describeRow(sheet, row) + (args.ids ? `  (${row.id})` : '')));
+  },
+
+  async add(args, config, backend){
+    const text = args._[0];
+    if(!text && !args.set.length) throw new UsageError('lts add <text> [--under ROW] [--status S] [--set Column=value]');
+    const info = await pickSheet(backend, args, config);
+    const sheet = await loadSheet(backend, info);
+    const cells = parseSets(args.set);
+    if(text) cells[textColumn(sheet)] = text;
+    if(args.status) cells.Status = statusOption(sheet, args.status);
+    const fields = { cells };
+    if(args.under) fields.parent = findRow(sheet, args.under).id;
+    const row = await backend.addRow(info.id, fields);
+    console.log(`Added ${describeRow(sheet, row)}  (${row.id})`);
+  },
+
+  async status(args, config, backend){
+    const [ref, value] = args._;
+    if(!ref || !value) throw new UsageError('lts status <ROW> <status>');
+    const info = await pickSheet(backend, args, config);
+    const sheet = await loadSheet(backend, info);
+    const row = findRow(sheet, ref);
+    const updated = await backend.updateRow(info.id, row.id, { cells: { Status: statusOption(sheet, value) } });
+    console.log(describeRow(sheet, updated));
+  },
+
+  async export(args, config, backend){
+    const format = args._[0];
+    const renderers = { csv: toCSV, json: toJSON, xlsx: sheet => Buffer.from(toXLSX(sheet)) };
+    if(!Object.prototype.hasOwnProperty.call(renderers, format || '')) throw new UsageError('lts export csv|json|xlsx [--out FILE]');
+    const sheet = await loadSheet(backend, await pickSheet(backend, args, config));
+    const text = renderers[format](sheet);
+    if(args.out) {
+      fs.writeFileSync(args.out, text);
+      console.error(`Wrote ${sheet.rows.length} rows to ${args.out}`);
+    } else {
+      process.stdout.write(text);
+    }
+  }
+};
+
+const OFFLINE_COMMANDS = ['sheets', 'tree', 'add', 'status', 'export'];
+
+async function main(){
+  const [name, ...rest] = process.argv.slice(2);
+  if(!name || name === 'help' || name === '--help' || !Object.prototype.hasOwnProperty.call(commands, name)) {
+    console.log(USAGE);
+    if(name && name !== 'help' && name !== '--help') process.exitCode = 2;
+    return;
+  }
+  const args = parseArgs(rest);
+  const config = loadConfig();
+  let backend = null;
+  if(args['data-dir']) {
+    if(!OFFLINE_COMMANDS.includes(name)) throw new UsageError(`lts ${name} does not work with --data-dir`);
+    backend = localBackend(path.resolve(args['data-dir']), args.user || os.userInfo().username);
+  } else if(name !== 'login' && name !== 'logout') {
+    backend = remoteBackend(config);
+  }
+  await commands[name](args, config, backend);
+}
+
+main().catch(e => {
+  console.error('lts:', e.message);
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+});
@@ -0,0 +1,99 @@
+/*
+ LightTaskSheet - lib/api_tokens.js
+ Personal access tokens for scripts: "lts_<id>_<secret>", sent as a Bearer
+ token like an access token. Kept on the user record with only a hash of
+ the secret:
+   apiTokens: { <id>: { name, scope: 'read'|'write', sheetId, createdAt, expiresAt, lastUsedAt, hash } }
+ sheetId limits the token to one sheet (null: every sheet the user can
+ reach). The server accepts them on the sheet endpoints only.
+*/
+
+const crypto = require('crypto');
+
+const PREFIX = 'lts_';
+const SCOPES = ['read', 'write'];
+const MAX_DAYS = 365;
+// lastUsedAt is written at most this often per token
+const TOUCH_MS = 60000;
+
+function hash(value){ return crypto.createHash('sha256').update(String(value)).digest('hex'); }
+
+function isApiToken(token){
+  return typeof token === 'string' && token.startsWith(PREFIX);
+}
+
+// users: { loadUsers, updateUsers } from the server
+function createApiTokens(users){
+
+  // options: { name, scope, sheetId, expiresInDays }; returns { token, info }
+  // (the token is shown once) or throws for invalid options
+  function create(username, options){
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    if(!name || name.length > 100) throw new Error('Token name must be 1 to 100 characters');
+    if(!SCOPES.includes(options.scope)) throw new Error(`Scope must be one of ${SCOPES.join(', ')}`);
+    const days = options.expiresInDays;
+    if(!Number.isInteger(days) || days < 1 || days > MAX_DAYS) throw new Error(`expiresInDays must be a whole number from 1 to ${MAX_DAYS}`);
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const now = new Date();
+    const record = {
+      name, scope: options.scope, sheetId: options.sheetId || null,
+      createdAt: now.toISOString(), expiresAt: new Date(now.getTime() + days * 86400000).toISOString(),
+      lastUsedAt: null, hash: hash(secret)
+    };
+    users.updateUsers(all => {
+      const u = all[username];
+      u.apiTokens = u.apiTokens || {};
+      u.apiTokens[id] = record;
+    });
+    return { token: PREFIX + id + '_' + secret, info: describe(id, record) };
+  }
+
+  // Returns { username, id, scope, sheetId } for a valid, unexpired token, else null
+  function verify(token){
+    const m = String(token).slice(PREFIX.length).match(/^([0-9a-f]+)_(.+)$/);
+    if(!m) return null;
+    const [, id, secret] = m;
+    const all = users.loadUsers();
+    const username = Object.keys(all).find(name => all[name].apiTokens && all[name].apiTokens[id]);
+    if(!username) return null;
+    const record = all[username].apiTokens[id];
+    if(!crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), Buffer.from(hash(secret), 'hex'))) return null;
+    if(Date.parse(record.expiresAt) < Date.now()) return null;
+    if(!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > TOUCH_MS) touch(username, id);
+    return { username, id, scope: record.scope, sheetId: record.sheetId };
+  }
+
+  function touch(username, id){
+    users.updateUsers(all => {
+      const record = all[username] && all[username].apiTokens && all[username].apiTokens[id];
+      if(record) record.lastUsedAt = new Date().toISOString();
+    });
+  }
+
+  function describe(id, record){
+    const { hash: omitted, ...info } = record;
+    return Object.assign({ id }, info, { expired: Date.parse(record.expiresAt) < Date.now() });
+  }
+
+  function list(username){
+    const u = users.loadUsers()[username];
+    return Object.entries((u && u.apiTokens) || {})
+      .map(([id, record]) => describe(id, record))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Returns false when the token did not exist
+  function revoke(username, id){
+    let found = false;
+    users.updateUsers(all => {
+      const u = all[username];
+      if(u && u.apiTokens && u.apiTokens[id]) { delete u.apiTokens[id]; found = true; }
+    });
+    return found;
+  }
+
+  return { create, verify, list, revoke };
+}
+
+module.exports = { createApiTokens, isApiToken };
@@ -0,0 +1,102 @@
+/*
+ LightTaskSheet - lib/audit.js
+ Append-only audit log of logins, account changes and sheet saves, kept by
+ the store (lib/store.js). Entries are never changed or removed:
+   { at, action, username, target, ip, details }
+ username is who acted (for a failed login, the name that was tried) and
+ target what was acted on: a username or a sheet id.
+ Sheet saves carry a summary of what changed (summarizeChanges); it names
+ rows and columns but holds no cell values, so the log does not copy sheet
+ content to admins who cannot open the sheet.
+*/
+
+const ACTIONS = [
+  'login', 'login.failed', 'register', 'password.reset-code', 'password.reset', 'password.change',
+  'user.create', 'user.role', 'user.disable', 'user.enable', 'user.delete', 'user.reset-2fa',
+  'settings.change', 'sheet.create', 'sheet.save', 'sheet.delete'
+];
+const MAX_LIMIT = 1000;
+// Rows listed by id in a save summary; the counts are always complete
+const MAX_LISTED_ROWS = 50;
+
+function sameValue(a, b){
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Counts of added, removed, moved (new parent) and changed rows and cells
+// between two versions of a sheet, plus the first rows of each kind by id
+// (changed rows with the names of their changed columns). Columns are
+// matched by name.
+function summarizeChanges(before, after){
+  const columnNames = sheet => ((sheet && sheet.columns) || []).map(c => c.name);
+  const rowsById = sheet => new Map(((sheet && sheet.rows) || []).map(r => [r.id, r]));
+  const oldColumns = columnNames(before), newColumns = columnNames(after);
+  const oldRows = rowsById(before), newRows = rowsById(after);
+  const added = [], removed = [], moved = [], changed = [];
+  let cellsChanged = 0;
+  newRows.forEach((row, id) => {
+    const old = oldRows.get(id);
+    if(!old) return added.push(id);
+    if((old.parent || null) !== (row.parent || null)) moved.push(id);
+    const columns = newColumns.filter((name, i) => {
+      const j = oldColumns.indexOf(name);
+      return j !== -1 && !sameValue(old.cells[j], row.cells[i]);
+    });
+    cellsChanged += columns.length;
+    if(columns.length) changed.push({ rowId: id, columns });
+  });
+  oldRows.forEach((row, id) => { if(!newRows.has(id)) removed.push(id); });
+  return {
+    rowsAdded: added.length, rowsRemoved: removed.length, rowsMoved: moved.length,
+    rowsChanged: changed.length, cellsChanged,
+    columnsAdded: newColumns.filter(name => !oldColumns.includes(name)),
+    columnsRemoved: oldColumns.filter(name => !newColumns.includes(name)),
+    added: added.slice(0, MAX_LISTED_ROWS),
+    removed: removed.slice(0, MAX_LISTED_ROWS),
+    moved: moved.slice(0, MAX_LISTED_ROWS),
+    changed: changed.slice(0, MAX_LISTED_ROWS)
+  };
+}
+
+function parseTime(value, name){
+  if(!value) return null;
+  const t = Date.parse(value);
+  if(isNaN(t)) throw new Error(`${name} must be a date`);
+  return new Date(t).toISOString();
+}
+
+function createAudit(store){
+
+  // req gives the address and, unless fields.username is set, the acting user
+  function record(req, action, fields){
+    const f = fields || {};
+    const username = f.username !== undefined ? f.username : (req && req.user);
+    store.appendAudit({
+      at: new Date().toISOString(),
+      action,
+      username: username ? String(username).slice(0, 100) : null,
+      target: f.target || null,
+      ip: (req && req.ip) || null,
+      details: f.details || {}
+    });
+  }
+
+  // filter: { user (username or target), action, from, to, limit, offset };
+  // returns { total, entries } newest first. Throws for an invalid filter.
+  function query(filter){
+    const from = parseTime(filter.from, 'from');
+    const to = parseTime(filter.to, 'to');
+    if(filter.action && !ACTIONS.includes(filter.action)) throw new Error(`Unknown action ${filter.action}`);
+    const limit = Math.min(parseInt(filter.limit, 10) || 100, MAX_LIMIT);
+    const offset = Math.max(parseInt(filter.offset, 10) || 0, 0);
+    const entries = store.readAudit({ from, to })
+      .filter(e => !filter.user || e.username === filter.user || e.target === filter.user)
+      .filter(e => !filter.action || e.action === filter.action)
+      .reverse();
+    return { total: entries.length, entries: entries.slice(offset, offset + limit) };
+  }
+
+  return { record, query };
+}
+
+module.exports = { createAudit, summarizeChanges, ACTIONS };
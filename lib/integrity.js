@@ -0,0 +1,155 @@
+/*
+ LightTaskSheet - lib/integrity.js
+ Finds (and with fix, repairs) structural damage in stored sheets:
+  - id        a row has no id or repeats an earlier one (it gets a new id)
+  - cells     a row has more or fewer cells than there are columns (padded / trimmed)
+  - cycle     a row is its own ancestor (its parent link is cut)
+  - orphan    a sub-row's parent does not exist (it becomes a top-level row)
+  - sub       the sub flag disagrees with parent (set from parent)
+  - order     a sub-row is not inside its parent's block (rows are put back in
+              tree order, siblings keeping their order)
+ Scans every sheet in the store plus the legacy data/<username>.json files
+ that have not been moved into the store yet. Used by scripts/check_data.js
+ and /api/admin/integrity.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+const { migrateSheet, inCycle } = require('../shared/sheet_schema');
+const { uid, nowISO } = require('./sheets');
+
+function issue(type, row, message){
+  return { type, rowId: row.id || null, message };
+}
+
+// Tree order: each row directly followed by its sub-rows, recursively
+function treeOrder(rows){
+  const children = new Map();
+  rows.forEach(r => {
+    const key = r.parent || null;
+    if(!children.has(key)) children.set(key, []);
+    children.get(key).push(r);
+  });
+  const out = [];
+  const visit = parent => (children.get(parent) || []).forEach(r => { out.push(r); visit(r.id); });
+  visit(null);
+  return out;
+}
+
+// Returns { sheet, issues }: a repaired copy and what was wrong with the original.
+// Rows in a pre-object legacy shape are left for the schema migrations.
+function inspectSheet(original){
+  const issues = [];
+  const sheet = JSON.parse(JSON.stringify(original));
+  if(!sheet || !Array.isArray(sheet.rows)) return { sheet, issues };
+  const rows = sheet.rows.filter(r => r && typeof r === 'object' && Array.isArray(r.cells));
+  const width = Array.isArray(sheet.columns) ? sheet.columns.length : null;
+
+  const seen = new Set();
+  rows.forEach((r, i) => {
+    if(typeof r.id !== 'string' || !r.id || seen.has(r.id)) {
+      const was = r.id;
+      r.id = uid();
+      issues.push(issue('id', r, was ? `Row ${i+1} repeats id ${was}; renamed to ${r.id}` : `Row ${i+1} has no id; assigned ${r.id}`));
+    }
+    seen.add(r.id);
+    if(width !== null && r.cells.length !== width) {
+      issues.push(issue('cells', r, `Row ${r.id} has ${r.cells.length} cells for ${width} columns`));
+      r.cells = r.cells.slice(0, width);
+      while(r.cells.length < width) r.cells.push('');
+    }
+  });
+
+  const byId = new Map(rows.map(r => [r.id, r]));
+  rows.forEach(r => {
+    if(r.parent && byId.has(r.parent) && inCycle(byId, r)) {
+      issues.push(issue('cycle', r, `Row ${r.id} is its own ancestor through parent ${r.parent}`));
+      r.parent = null;
+      r.sub = false;
+    } else if(r.parent && !byId.has(r.parent)) {
+      issues.push(issue('orphan', r, `Sub-row ${r.id} points to missing parent ${r.parent}`));
+      r.parent = null;
+      r.sub = false;
+    } else if(!!r.sub !== !!r.parent) {
+      issues.push(issue('sub', r, `Row ${r.id} has sub=${!!r.sub} but ${r.parent ? 'a' : 'no'} parent`));
+      r.sub = !!r.parent;
+    }
+  });
+
+  // A sub-row must follow its parent or another row of the parent's block
+  const inBlock = (row, parentId) => {
+    for(let p = row; p; p = p.parent ? byId.get(p.parent) : null) if(p.id === parentId) return true;
+    return false;
+  };
+  let misplaced = false;
+  rows.forEach((r, i) => {
+    if(r.parent && (i === 0 || !inBlock(rows[i-1], r.parent))) {
+      issues.push(issue('order', r, `Sub-row ${r.id} is not placed inside the block of its parent ${r.parent}`));
+      misplaced = true;
+    }
+  });
+  const ordered = misplaced ? treeOrder(rows) : rows;
+  const checked = new Set(rows);
+  const others = sheet.rows.filter(r => !checked.has(r));
+  sheet.rows = ordered.concat(others);
+  return { sheet, issues };
+}
+
+function legacyFiles(dataDir){
+  if(!fs.existsSync(dataDir)) return [];
+  return fs.readdirSync(dataDir)
+    .filter(f => f.endsWith('.json') && !['users.json', 'settings.json', 'invites.json', 'webhooks.json'].includes(f))
+    .map(f => path.join(dataDir, f));
+}
+
+// options: { store, sheets (lib/sheets.js), dataDir, fix, author, onFixed(sheetId, revision) }
+function scanData(options){
+  const { store, sheets, dataDir, fix } = options;
+  const report = { checkedAt: nowISO(), fix: !!fix, sheets: [], legacyFiles: [], totals: { checked: 0, damaged: 0, issues: 0 } };
+  const count = (entry, issues) => {
+    report.totals.checked++;
+    if(!issues.length) return false;
+    report.totals.damaged++;
+    report.totals.issues += issues.length;
+    entry.issues = issues;
+    return true;
+  };
+
+  Object.values(sheets.loadSheetIndex()).forEach(info => {
+    store.withSheet(info.id, () => {
+      const stored = store.readSheet(info.id);
+      if(!stored) return;
+      const { sheet, issues } = inspectSheet(stored);
+      const entry = { id: info.id, name: info.name, owner: info.owner };
+      if(!count(entry, issues)) return;
+      if(fix) {
+        entry.revision = sheets.commitSheet(info.id, migrateSheet(sheet), options.author || 'integrity-check', { repaired: issues.length });
+        if(options.onFixed) options.onFixed(info.id, entry.revision);
+      }
+      report.sheets.push(entry);
+    });
+  });
+
+  legacyFiles(dataDir).forEach(file => {
+    storage.withLock(file, () => {
+      const { sheet, issues } = inspectSheet(storage.readJSON(file, null));
+      const entry = { file: path.basename(file) };
+      if(!count(entry, issues)) return;
+      if(fix) storage.writeJSON(file, sheet);
+      report.legacyFiles.push(entry);
+    });
+  });
+  return report;
+}
+
+// Saves a report under data/reports/ and returns its path
+function writeReport(dataDir, report){
+  const dir = path.join(dataDir, 'reports');
+  storage.ensureDir(dir);
+  const file = path.join(dir, 'integrity-' + report.checkedAt.replace(/[:.]/g, '-') + '.json');
+  storage.writeJSON(file, report);
+  return file;
+}
+
+module.exports = { inspectSheet, scanData, writeReport };
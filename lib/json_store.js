@@ -0,0 +1,129 @@
+/*
+ LightTaskSheet - lib/json_store.js
+ Storage backend on flat JSON files (see lib/store.js for the interface):
+  data/users.json
+  data/settings.json
+  data/invites.json
+  data/webhooks.json
+  data/deliveries/<deliveryId>.json   webhook payloads, one per delivery
+  data/sheets/index.json + <sheetId>.json
+  data/history/<sheetId>/index.json + <revision>.json
+  data/audit/<YYYY-MM>.jsonl          one audit entry per line
+ All writes go through lib/storage.js (atomic, locked), except the audit
+ log, which is only ever appended to.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+
+function fileSize(file){
+  return fs.existsSync(file) ? fs.statSync(file).size : 0;
+}
+
+function dirSize(dir){
+  if(!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((sum, entry) => {
+    const full = path.join(dir, entry.name);
+    return sum + (entry.isDirectory() ? dirSize(full) : fileSize(full));
+  }, 0);
+}
+
+function createJsonStore(dataDir){
+  const usersFile = path.join(dataDir, 'users.json');
+  const settingsFile = path.join(dataDir, 'settings.json');
+  const invitesFile = path.join(dataDir, 'invites.json');
+  const webhooksFile = path.join(dataDir, 'webhooks.json');
+  const deliveriesDir = path.join(dataDir, 'deliveries');
+  const sheetsDir = path.join(dataDir, 'sheets');
+  const sheetsIndex = path.join(sheetsDir, 'index.json');
+  const historyDir = path.join(dataDir, 'history');
+  const auditDir = path.join(dataDir, 'audit');
+  [dataDir, sheetsDir, historyDir, deliveriesDir, auditDir].forEach(storage.ensureDir);
+
+  const sheetFile = id => path.join(sheetsDir, id + '.json');
+  const versionsDir = id => path.join(historyDir, id);
+  const payloadFile = id => path.join(deliveriesDir, id + '.json');
+
+  return {
+    type: 'json',
+
+    loadUsers: () => storage.readJSON(usersFile, {}),
+    updateUsers: fn => storage.updateJSON(usersFile, {}, fn),
+
+    loadSettings: () => storage.readJSON(settingsFile, {}),
+    updateSettings: fn => storage.updateJSON(settingsFile, {}, fn),
+
+    loadInvites: () => storage.readJSON(invitesFile, {}),
+    updateInvites: fn => storage.updateJSON(invitesFile, {}, fn),
+
+    loadWebhooks: () => storage.readJSON(webhooksFile, {}),
+    updateWebhooks: fn => storage.updateJSON(webhooksFile, {}, fn),
+    readDeliveryPayload: id => storage.readJSON(payloadFile(id), null),
+    writeDeliveryPayload: (id, payload) => storage.writeJSON(payloadFile(id), payload),
+    removeDeliveryPayloads: ids => ids.forEach(id => storage.removeJSON(payloadFile(id))),
+
+    loadSheetIndex: () => storage.readJSON(sheetsIndex, {}),
+    updateSheetIndex: fn => storage.updateJSON(sheetsIndex, {}, fn),
+    readSheet: id => storage.readJSON(sheetFile(id), null),
+    writeSheet: (id, sheet) => storage.writeJSON(sheetFile(id), sheet),
+    withSheet: (id, fn) => storage.withLock(sheetFile(id), fn),
+
+    removeSheet(id){
+      storage.withLock(sheetFile(id), () => {
+        storage.removeJSON(sheetFile(id));
+        fs.rmSync(versionsDir(id), { recursive: true, force: true });
+      });
+    },
+
+    sheetSize: id => fileSize(sheetFile(id)) + dirSize(versionsDir(id)),
+
+    loadHistory: id => storage.readJSON(path.join(versionsDir(id), 'index.json'), []),
+
+    addVersion(id, version, sheet, limit){
+      const dir = versionsDir(id);
+      storage.ensureDir(dir);
+      storage.writeJSON(path.join(dir, version.revision + '.json'), sheet);
+      storage.updateJSON(path.join(dir, 'index.json'), [], versions => {
+        versions.push(version);
+        while(versions.length > limit) {
+          const dropped = versions.shift();
+          storage.removeJSON(path.join(dir, dropped.revision + '.json'));
+        }
+      });
+    },
+
+    readVersion: (id, revision) => storage.readJSON(path.join(versionsDir(id), revision + '.json'), null),
+
+    // One file per month; a single appendFileSync of a whole line does not
+    // interleave with other writers
+    appendAudit(entry){
+      fs.appendFileSync(path.join(auditDir, entry.at.slice(0, 7) + '.jsonl'), JSON.stringify(entry) + '\n');
+    },
+
+    readAudit({ from, to }){
+      const entries = [];
+      fs.readdirSync(auditDir)
+        .filter(f => /^\d{4}-\d{2}\.jsonl$/.test(f))
+        .filter(f => (!from || f.slice(0, 7) >= from.slice(0, 7)) && (!to || f.slice(0, 7) <= to.slice(0, 7)))
+        .sort()
+        .forEach(f => {
+          fs.readFileSync(path.join(auditDir, f), 'utf8').split('\n').forEach(line => {
+            if(!line) return;
+            let entry;
+            // A crash can leave the last line cut short
+            try { entry = JSON.parse(line); } catch(e) { return; }
+            if((!from || entry.at >= from) && (!to || entry.at <= to)) entries.push(entry);
+          });
+        });
+      return entries;
+    },
+
+    // Everything in the data directory, integrity reports included
+    totalSize: () => dirSize(dataDir),
+
+    close(){}
+  };
+}
+
+module.exports = { createJsonStore };
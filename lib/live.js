@@ -0,0 +1,90 @@
+/*
+ LightTaskSheet - lib/live.js
+ Server-Sent Events push channel per sheet:
+  - subscribe(): keeps an open event stream for one browser tab
+  - publish(): sends an event to every tab viewing the sheet
+  - setPresence(): tracks which row each tab is editing and broadcasts it
+ State is in memory only; tabs reconnect (EventSource does that on its own)
+ after a server restart.
+*/
+
+const HEARTBEAT_MS = 25000;
+
+// sheetId -> Set of { res, username, clientId, sessionId, rowId }
+const channels = new Map();
+
+function send(res, event, data){
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function editors(sheetId){
+  const subs = channels.get(sheetId);
+  if(!subs) return [];
+  return Array.from(subs).map(s => ({ username: s.username, clientId: s.clientId, rowId: s.rowId }));
+}
+
+function publish(sheetId, event, data){
+  const subs = channels.get(sheetId);
+  if(!subs) return;
+  subs.forEach(s => send(s.res, event, data));
+}
+
+function publishPresence(sheetId){
+  publish(sheetId, 'presence', { editors: editors(sheetId) });
+}
+
+function subscribe(sheetId, username, clientId, sessionId, res){
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  res.flushHeaders();
+  const sub = { res, username, clientId: clientId || null, sessionId, rowId: null };
+  if(!channels.has(sheetId)) channels.set(sheetId, new Set());
+  channels.get(sheetId).add(sub);
+  publishPresence(sheetId);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const subs = channels.get(sheetId);
+    if(!subs) return;
+    subs.delete(sub);
+    if(subs.size === 0) channels.delete(sheetId);
+    else publishPresence(sheetId);
+  });
+}
+
+function setPresence(sheetId, username, clientId, rowId){
+  const subs = channels.get(sheetId);
+  if(!subs) return false;
+  const sub = Array.from(subs).find(s => s.clientId === clientId && s.username === username);
+  if(!sub) return false;
+  sub.rowId = rowId || null;
+  publishPresence(sheetId);
+  return true;
+}
+
+// Ends the streams of one user (access revoked) or of everyone (sheet deleted)
+function disconnect(sheetId, username){
+  const subs = channels.get(sheetId);
+  if(!subs) return;
+  subs.forEach(s => {
+    if(username && s.username !== username) return;
+    send(s.res, 'revoked', {});
+    s.res.end();
+  });
+}
+
+// Ends every stream of a user on any sheet (account disabled or deleted)
+function disconnectUser(username){
+  channels.forEach((subs, sheetId) => disconnect(sheetId, username));
+}
+
+// Ends the streams opened with one login session (logout or revoked); the
+// tabs reconnect, are refused and sign out
+function endSession(sessionId){
+  channels.forEach(subs => subs.forEach(s => {
+    if(s.sessionId === sessionId) s.res.end();
+  }));
+}
+
+module.exports = { subscribe, publish, setPresence, disconnect, disconnectUser, endSession };
@@ -0,0 +1,163 @@
+/*
+ LightTaskSheet - lib/oidc.js
+ OpenID Connect login (authorization code flow with PKCE) against the
+ company identity provider. Configured from the environment; SSO is off
+ unless OIDC_ISSUER and OIDC_CLIENT_ID are set:
+  - OIDC_ISSUER          issuer URL; endpoints come from its discovery document
+  - OIDC_CLIENT_ID / OIDC_CLIENT_SECRET
+  - OIDC_REDIRECT_URI    default <this server>/api/oidc/callback
+  - OIDC_SCOPES          default "openid profile email groups"
+  - OIDC_USERNAME_CLAIM  default preferred_username (then email, then sub)
+  - OIDC_GROUPS_CLAIM    default groups
+  - OIDC_ROLE_MAP        IdP group to account role, e.g. "lts-admins:admin,staff:member"
+  - OIDC_DEFAULT_ROLE    role for new users without a mapped group (default
+                         member); "none" turns them away
+  - OIDC_LINK_EXISTING   1 lets the first SSO login take over a local account
+                         with the same username (default: refused)
+  - OIDC_LABEL           login button text (default "Log in with SSO")
+ Pending logins (state, nonce, PKCE verifier) are kept in memory for
+ LOGIN_TTL_MS; a restart in between means logging in again.
+*/
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const LOGIN_TTL_MS = 10 * 60000;
+const ROLE_ORDER = ['admin', 'member', 'read-only'];
+
+function configFromEnv(env){
+  const roleMap = {};
+  (env.OIDC_ROLE_MAP || '').split(',').map(p => p.trim()).filter(Boolean).forEach(pair => {
+    const i = pair.lastIndexOf(':');
+    const role = pair.slice(i + 1).trim();
+    if(i < 1 || !ROLE_ORDER.includes(role)) throw new Error(`OIDC_ROLE_MAP: "${pair}" must look like group:${ROLE_ORDER.join('|')}`);
+    roleMap[pair.slice(0, i).trim()] = role;
+  });
+  const defaultRole = env.OIDC_DEFAULT_ROLE || 'member';
+  if(defaultRole !== 'none' && !ROLE_ORDER.includes(defaultRole)) throw new Error(`OIDC_DEFAULT_ROLE must be one of ${ROLE_ORDER.join(', ')} or none`);
+  return {
+    issuer: (env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: env.OIDC_CLIENT_ID || '',
+    clientSecret: env.OIDC_CLIENT_SECRET || '',
+    redirectUri: env.OIDC_REDIRECT_URI || null,
+    scopes: env.OIDC_SCOPES || 'openid profile email groups',
+    usernameClaim: env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    groupsClaim: env.OIDC_GROUPS_CLAIM || 'groups',
+    roleMap,
+    defaultRole: defaultRole === 'none' ? null : defaultRole,
+    linkExisting: env.OIDC_LINK_EXISTING === '1',
+    label: env.OIDC_LABEL || 'Log in with SSO'
+  };
+}
+
+function base64url(buffer){ return buffer.toString('base64url'); }
+
+async function getJSON(url, options){
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => null);
+  if(!res.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`${url} answered ${res.status}` + (detail ? `: ${detail}` : ''));
+  }
+  return body;
+}
+
+function createOidc(config){
+  const enabled = !!(config.issuer && config.clientId);
+  // state -> { nonce, verifier, redirectUri, createdAt }
+  const pending = new Map();
+  let discovery = null;
+  let jwks = null;
+
+  async function endpoints(){
+    if(!discovery) {
+      discovery = await getJSON(config.issuer + '/.well-known/openid-configuration');
+      if(discovery.issuer.replace(/\/+$/, '') !== config.issuer) throw new Error(`Issuer mismatch: discovery says ${discovery.issuer}`);
+    }
+    return discovery;
+  }
+
+  // Fetched again when a token names a key we do not know (the IdP rotated)
+  async function signingKey(kid){
+    const find = () => jwks && jwks.keys.find(k => k.kid === kid || (!kid && k.use !== 'enc'));
+    if(!find()) jwks = await getJSON((await endpoints()).jwks_uri);
+    const jwk = find();
+    if(!jwk) throw new Error(`No signing key ${kid} at the identity provider`);
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  function prune(){
+    const now = Date.now();
+    pending.forEach((p, state) => { if(now - p.createdAt > LOGIN_TTL_MS) pending.delete(state); });
+  }
+
+  // URL of the IdP's login page for a new login
+  async function authorizationUrl(defaultRedirectUri){
+    prune();
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const verifier = base64url(crypto.randomBytes(32));
+    const redirectUri = config.redirectUri || defaultRedirectUri;
+    pending.set(state, { nonce, verifier, redirectUri, createdAt: Date.now() });
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: redirectUri,
+      scope: config.scopes,
+      state,
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(verifier).digest()),
+      code_challenge_method: 'S256'
+    });
+    return (await endpoints()).authorization_endpoint + '?' + params;
+  }
+
+  // Trades the callback's code for an ID token and returns its verified claims
+  async function completeLogin(query){
+    if(query.error) throw new Error(query.error_description || query.error);
+    const login = pending.get(query.state);
+    pending.delete(query.state);
+    if(!login || Date.now() - login.createdAt > LOGIN_TTL_MS) throw new Error('Login expired or was not started here; please try again');
+    const ep = await endpoints();
+    const tokens = await getJSON(ep.token_endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': 'Basic ' + Buffer.from(encodeURIComponent(config.clientId) + ':' + encodeURIComponent(config.clientSecret)).toString('base64')
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: String(query.code || ''),
+        redirect_uri: login.redirectUri,
+        code_verifier: login.verifier
+      })
+    });
+    if(!tokens.id_token) throw new Error('The identity provider returned no ID token');
+    const header = (jwt.decode(tokens.id_token, { complete: true }) || {}).header || {};
+    const claims = jwt.verify(tokens.id_token, await signingKey(header.kid), {
+      algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+      issuer: discovery.issuer,
+      audience: config.clientId
+    });
+    if(claims.nonce !== login.nonce) throw new Error('ID token nonce does not match');
+    return claims;
+  }
+
+  function usernameOf(claims){
+    return claims[config.usernameClaim] || claims.email || claims.sub;
+  }
+
+  // The most privileged role among the user's mapped groups, or null
+  function mappedRole(claims){
+    const groups = [].concat(claims[config.groupsClaim] || []);
+    const roles = groups.map(g => config.roleMap[g]).filter(Boolean);
+    return ROLE_ORDER.find(r => roles.includes(r)) || null;
+  }
+
+  return {
+    enabled, label: config.label, defaultRole: config.defaultRole, linkExisting: config.linkExisting,
+    authorizationUrl, completeLogin, usernameOf, mappedRole
+  };
+}
+
+module.exports = { createOidc, configFromEnv };
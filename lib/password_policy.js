@@ -0,0 +1,52 @@
+/*
+ LightTaskSheet - lib/password_policy.js
+ Rules for new passwords (registration and password resets), from the
+ environment:
+  - PASSWORD_MIN_LENGTH       minimum length (default 8)
+  - PASSWORD_REQUIRE          character classes a password needs, comma
+                              separated: lower, upper, digit, symbol (default none)
+  - PASSWORD_ALLOW_USERNAME   1 allows passwords that contain the username
+ Stored passwords are not checked; the rules apply the next time one is set.
+*/
+
+const CLASSES = {
+  lower: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  upper: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  digit: { pattern: /[0-9]/, label: 'a digit' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+};
+// bcrypt ignores everything after the first 72 bytes
+const MAX_BYTES = 72;
+
+function policyFromEnv(env){
+  const require = (env.PASSWORD_REQUIRE || '').split(',').map(c => c.trim()).filter(Boolean);
+  require.forEach(c => {
+    if(!CLASSES[c]) throw new Error(`PASSWORD_REQUIRE: unknown class "${c}"; expected ${Object.keys(CLASSES).join(', ')}`);
+  });
+  return { minLength: parseInt(env.PASSWORD_MIN_LENGTH, 10) || 8, require, allowUsername: env.PASSWORD_ALLOW_USERNAME === '1' };
+}
+
+// Lists what is wrong with a new password; empty when it is acceptable
+function passwordProblems(policy, password, username){
+  if(typeof password !== 'string') return ['Password must be text'];
+  const problems = [];
+  if(password.length < policy.minLength) problems.push(`Password must be at least ${policy.minLength} characters long`);
+  if(Buffer.byteLength(password) > MAX_BYTES) problems.push(`Password must be at most ${MAX_BYTES} bytes long`);
+  policy.require.forEach(c => {
+    if(!CLASSES[c].pattern.test(password)) problems.push(`Password must contain ${CLASSES[c].label}`);
+  });
+  if(!policy.allowUsername && username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('Password must not contain the username');
+  }
+  return problems;
+}
+
+// One sentence for forms, e.g. "At least 8 characters, with a digit, not containing the username."
+function describePolicy(policy){
+  const parts = [`At least ${policy.minLength} characters`];
+  if(policy.require.length) parts.push('with ' + policy.require.map(c => CLASSES[c].label).join(', '));
+  if(!policy.allowUsername) parts.push('not containing the username');
+  return parts.join(', ') + '.';
+}
+
+module.exports = { policyFromEnv, passwordProblems, describePolicy };
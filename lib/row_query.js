@@ -0,0 +1,172 @@
+/*
+ LightTaskSheet - lib/row_query.js
+ Filtering and paging of sheet rows for the per-task API and the export
+ endpoints, and checking of cell values written through the API. Query parameters:
+  - <column name>=<value>  rows whose cell equals the value (case-insensitive;
+                           list cells match on any item); repeat the
+                           parameter to accept several values
+  - q=<text>               rows with the text in any cell
+  - from, to               rows whose date in dateColumn falls in the range;
+                           a date without a time covers that whole day
+  - dateColumn=<name>      default: the first date column
+  - under=<row id>         the row and every row nested below it
+  - limit, offset          paging (default 100, at most 1000; not for exports)
+ Rows keep sheet order and carry hierarchyNumber and nestingLevel
+ (shared/sheet_tree.js), numbered within the whole sheet.
+ Also used by the lts command line client (bin/lts.js) in offline mode.
+*/
+
+const { annotateRows } = require('../shared/sheet_tree');
+const { subtreeIds } = require('../shared/sheet_ops');
+const { uid, nowISO } = require('./sheets');
+
+const RESERVED = ['q', 'from', 'to', 'dateColumn', 'under', 'limit', 'offset'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function listOf(value){
+  return [].concat(value).map(v => String(v));
+}
+
+function cellText(value){
+  if(value === null || value === undefined) return '';
+  return Array.isArray(value) ? value.join(' ') : String(value);
+}
+
+function cellMatches(value, wanted){
+  const items = Array.isArray(value) ? value : [value];
+  return items.some(item => wanted.includes(cellText(item).toLowerCase()));
+}
+
+function parseBound(value, name, endOfDay){
+  const text = String(value);
+  const t = Date.parse(DATE_ONLY.test(text) && endOfDay ? text + 'T23:59:59.999Z' : text);
+  if(isNaN(t)) throw new Error(`${name} must be a date`);
+  return t;
+}
+
+// Every matching row, ignoring limit and offset (for the exports); throws
+// for an invalid query
+function filterRows(sheet, query){
+  const columns = sheet ? sheet.columns : [];
+  const filters = [];
+  Object.keys(query).forEach(key => {
+    if(RESERVED.includes(key)) return;
+    const col = columns.findIndex(c => c.name === key);
+    if(col === -1) throw new Error(`Unknown column or filter ${key}`);
+    filters.push({ col, wanted: listOf(query[key]).map(v => v.toLowerCase()) });
+  });
+
+  let dateCol = -1, from = null, to = null;
+  if(query.from || query.to) {
+    dateCol = query.dateColumn
+      ? columns.findIndex(c => c.name === query.dateColumn)
+      : columns.findIndex(c => c.type === 'date');
+    if(dateCol === -1) throw new Error(query.dateColumn ? `Unknown column ${query.dateColumn}` : 'The sheet has no date column');
+    if(columns[dateCol].type !== 'date') throw new Error(`${columns[dateCol].name} is not a date column`);
+    if(query.from) from = parseBound(query.from, 'from', false);
+    if(query.to) to = parseBound(query.to, 'to', true);
+  }
+
+  if(!sheet) return [];
+
+  let under = null;
+  if(query.under) {
+    if(!sheet.rows.some(r => r.id === query.under)) throw new Error(`Row ${query.under} not found`);
+    under = subtreeIds(sheet, String(query.under));
+  }
+  const text = query.q ? String(query.q).toLowerCase() : null;
+
+  return annotateRows(sheet).filter(row => {
+    if(under && !under.has(row.id)) return false;
+    if(!filters.every(f => cellMatches(row.cells[f.col], f.wanted))) return false;
+    if(text && !row.cells.some(v => cellText(v).toLowerCase().includes(text))) return false;
+    if(dateCol !== -1) {
+      const t = Date.parse(row.cells[dateCol]);
+      if(isNaN(t) || (from !== null && t < from) || (to !== null && t > to)) return false;
+    }
+    return true;
+  });
+}
+
+// Returns { total, offset, limit, rows } or throws for an invalid query
+function queryRows(sheet, query){
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new Error(`limit must be from 1 to ${MAX_LIMIT}`);
+  if(!Number.isInteger(offset) || offset < 0) throw new Error('offset must be 0 or more');
+  const rows = filterRows(sheet, query);
+  return { total: rows.length, offset, limit, rows: rows.slice(offset, offset + limit) };
+}
+
+// Checks one value for a column and returns it as the browser stores it:
+// dates as ISO strings, numbers as their text, dropdowns limited to their
+// options; '' or null clears the cell. Throws with the reason otherwise.
+function cellValue(column, value){
+  if(value === null || value === undefined || value === '') return '';
+  const label = `Column ${column.name}`;
+  if(column.type === 'date') {
+    const t = Date.parse(value);
+    if(typeof value !== 'string' || isNaN(t)) throw new Error(`${label} needs a date`);
+    return new Date(t).toISOString();
+  }
+  if(column.type === 'number') {
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if(!Number.isFinite(n)) throw new Error(`${label} needs a number`);
+    return String(n);
+  }
+  if(column.type === 'dropdown') {
+    if(!column.options.includes(value)) throw new Error(`${label} must be one of ${column.options.join(', ')}`);
+    return value;
+  }
+  if(typeof value !== 'string' && typeof value !== 'number') throw new Error(`${label} needs text`);
+  return String(value);
+}
+
+// Turns { <column name>: value } into [{ col, value }] with checked values
+function cellUpdates(sheet, cells){
+  if(cells === null || typeof cells !== 'object' || Array.isArray(cells)) throw new Error('cells must be an object keyed by column name');
+  return Object.keys(cells).map(name => {
+    const col = sheet.columns.findIndex(c => c.name === name);
+    if(col === -1) throw new Error(`Unknown column ${name}`);
+    return { col, value: cellValue(sheet.columns[col], cells[name]) };
+  });
+}
+
+// parent and after name a row by its id; undefined and null pass through
+function rowRef(value, name){
+  if(value === undefined || value === null) return value;
+  if(typeof value !== 'string') throw new Error(`${name} must be a row id`);
+  return value;
+}
+
+// Id of the last row nested below parentId (the parent itself when it has
+// none), leaving out the subtree of a row that is being moved
+function lastRowUnder(sheet, parentId, movingId){
+  const ids = subtreeIds(sheet, parentId);
+  const moving = movingId ? subtreeIds(sheet, movingId) : new Set();
+  const last = sheet.rows.filter(r => ids.has(r.id) && !moving.has(r.id)).pop();
+  return last ? last.id : parentId;
+}
+
+// insertRow operation (shared/sheet_ops.js) for a new row with the browser's
+// defaults: creation time in the first column, Status "To be started".
+// fields: { cells: { <column>: value }, parent, after }; without after the
+// row goes at the end, or below the parent's last sub-row. Throws for
+// invalid fields.
+function insertRowOp(sheet, fields){
+  const parent = rowRef(fields.parent, 'parent') || null;
+  const requestedAfter = rowRef(fields.after, 'after');
+  if(parent && !sheet.rows.some(r => r.id === parent)) throw new Error(`Parent row ${parent} not found`);
+  const updates = cellUpdates(sheet, fields.cells || {});
+  const cells = sheet.columns.map(() => '');
+  cells[0] = nowISO();
+  const statusCol = sheet.columns.findIndex(c => c.name === 'Status');
+  if(statusCol !== -1) cells[statusCol] = 'To be started';
+  updates.forEach(u => { cells[u.col] = u.value; });
+  const after = requestedAfter === undefined && parent ? lastRowUnder(sheet, parent, null) : requestedAfter;
+  return { op: 'insertRow', row: { id: uid(), cells, parent, collapsed: false }, after };
+}
+
+module.exports = { queryRows, filterRows, cellValue, cellUpdates, rowRef, lastRowUnder, insertRowOp, RESERVED };
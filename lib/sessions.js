@@ -0,0 +1,218 @@
+/*
+ LightTaskSheet - lib/sessions.js
+ Login sessions and the keys that sign access tokens:
+  - Access tokens are short-lived JWTs ({ username, role, sid }, header kid)
+  - Every login is a session kept on the user record
+    ({ sessions: { <sid>: { createdAt, lastUsedAt, expiresAt, ip, userAgent, refreshHash, ... } } })
+    with a refresh token "<sid>.<secret>"; only hashes of secrets are stored
+  - refresh() rotates the refresh token. Presenting an already rotated one
+    later than ROTATION_GRACE_MS after the rotation revokes the session, since
+    the token must have been copied
+  - Revoking a session makes its access tokens fail at once, because auth
+    checks that the sid still exists
+  - Challenge tokens ({ username, purpose }, a few minutes) carry a login
+    that still needs a second step, e.g. a two-factor code
+ Signing keys, first one signs and all of them verify:
+  - JWT_KEYS="kid1:secret1,kid2:secret2", or
+  - JWT_SECRET (a single key), or
+  - data/secrets/jwt_keys.json, created on first start and rotated with
+    scripts/rotate_jwt_key.js (restart the server to pick up a new key).
+    No username leads there: legacy data/<username>.json sheets are only
+    looked for directly in data/, for plain names without "/" (server.js
+    validUsername, legacySheetFile)
+*/
+
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const storage = require('./storage');
+
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Two tabs refreshing at the same moment both present the same token
+const ROTATION_GRACE_MS = 30000;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+function randomToken(bytes){ return crypto.randomBytes(bytes).toString('base64url'); }
+function hash(value){ return crypto.createHash('sha256').update(String(value)).digest('hex'); }
+function sameHash(a, b){ return !!a && !!b && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex')); }
+
+/* =======================
+   Signing keys
+   ======================= */
+function keyFile(dataDir){ return path.join(dataDir, 'secrets', 'jwt_keys.json'); }
+
+function newKey(){
+  return { kid: randomToken(6), secret: randomToken(32), createdAt: new Date().toISOString() };
+}
+
+// Adds a new signing key to data/secrets/jwt_keys.json, keeping the newest `keep` keys
+function rotateKeyFile(dataDir, keep){
+  storage.ensureDir(path.dirname(keyFile(dataDir)));
+  return storage.updateJSON(keyFile(dataDir), { keys: [] }, data => {
+    data.keys.unshift(newKey());
+    data.keys = data.keys.slice(0, Math.max(keep, 1));
+  });
+}
+
+function loadKeys(dataDir){
+  if(process.env.JWT_KEYS) {
+    return process.env.JWT_KEYS.split(',').map(entry => {
+      const i = entry.indexOf(':');
+      if(i < 1) throw new Error('JWT_KEYS entries must look like kid:secret');
+      return { kid: entry.slice(0, i).trim(), secret: entry.slice(i + 1).trim() };
+    });
+  }
+  if(process.env.JWT_SECRET) return [{ kid: 'env', secret: process.env.JWT_SECRET }];
+  let data = storage.readJSON(keyFile(dataDir), null);
+  if(!data || !data.keys || !data.keys.length) {
+    data = rotateKeyFile(dataDir, 1);
+    console.log('Created JWT signing key in', keyFile(dataDir));
+  }
+  return data.keys;
+}
+
+/* =======================
+   Sessions
+   ======================= */
+// users: { loadUsers, updateUsers } from the server
+function createSessions(users, dataDir){
+  const keys = loadKeys(dataDir);
+
+  function signAccess(username, role, sid){
+    return jwt.sign({ username, role, sid }, keys[0].secret, { keyid: keys[0].kid, expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 });
+  }
+
+  function verify(token){
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && keys.find(k => k.kid === decoded.header.kid);
+    if(!key) throw new Error('Unknown signing key');
+    return jwt.verify(token, key.secret);
+  }
+
+  // Returns the token's claims; throws for a bad or expired token or an unknown key
+  function verifyAccess(token){
+    const claims = verify(token);
+    if(claims.purpose) throw new Error('Not an access token');
+    return claims;
+  }
+
+  function signChallenge(username, purpose){
+    return jwt.sign({ username, purpose }, keys[0].secret, { keyid: keys[0].kid, expiresIn: CHALLENGE_TTL_SECONDS });
+  }
+
+  // Returns the username of a valid challenge for purpose, or null
+  function verifyChallenge(token, purpose){
+    try {
+      const claims = verify(String(token || ''));
+      return claims.purpose === purpose ? claims.username : null;
+    } catch(e) {
+      return null;
+    }
+  }
+
+  function tokens(username, role, sid, secret){
+    return { token: signAccess(username, role, sid), refreshToken: sid + '.' + secret, expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 };
+  }
+
+  // meta: { ip, userAgent }
+  function start(username, meta){
+    const sid = randomToken(9);
+    const secret = randomToken(32);
+    const now = new Date();
+    let role;
+    users.updateUsers(all => {
+      const u = all[username];
+      role = u.role;
+      u.sessions = u.sessions || {};
+      Object.keys(u.sessions).forEach(id => {
+        if(Date.parse(u.sessions[id].expiresAt) < now.getTime()) delete u.sessions[id];
+      });
+      u.sessions[sid] = {
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString(),
+        ip: meta.ip || null,
+        userAgent: meta.userAgent || null,
+        refreshHash: hash(secret)
+      };
+    });
+    return tokens(username, role, sid, secret);
+  }
+
+  // Returns new tokens, or null when the refresh token is not (or no longer) valid
+  function refresh(refreshToken, meta){
+    const [sid, secret] = String(refreshToken || '').split('.');
+    if(!sid || !secret) return null;
+    let result = null;
+    users.updateUsers(all => {
+      const username = Object.keys(all).find(name => all[name].sessions && all[name].sessions[sid]);
+      if(!username) return;
+      const u = all[username];
+      const s = u.sessions[sid];
+      const now = Date.now();
+      const given = hash(secret);
+      if(u.disabled || Date.parse(s.expiresAt) < now) { delete u.sessions[sid]; return; }
+      if(sameHash(given, s.previousHash)) {
+        if(now - Date.parse(s.rotatedAt) > ROTATION_GRACE_MS) {
+          console.warn(`Refresh token reuse for ${username}; revoking session ${sid}`);
+          delete u.sessions[sid];
+        }
+        return;
+      }
+      if(!sameHash(given, s.refreshHash)) return;
+      const next = randomToken(32);
+      Object.assign(s, {
+        previousHash: s.refreshHash, refreshHash: hash(next), rotatedAt: new Date(now).toISOString(),
+        lastUsedAt: new Date(now).toISOString(), ip: meta.ip || s.ip, userAgent: meta.userAgent || s.userAgent
+      });
+      result = Object.assign({ username, role: u.role }, tokens(username, u.role, sid, next));
+    });
+    return result;
+  }
+
+  // Logout: ends the session of a refresh token (current or just rotated);
+  // returns its id, or null when there was none
+  function end(refreshToken){
+    const [sid, secret] = String(refreshToken || '').split('.');
+    if(!sid || !secret) return null;
+    let found = null;
+    users.updateUsers(all => {
+      const u = Object.values(all).find(user => user.sessions && user.sessions[sid]);
+      if(!u) return;
+      const s = u.sessions[sid];
+      const given = hash(secret);
+      if(!sameHash(given, s.refreshHash) && !sameHash(given, s.previousHash)) return;
+      delete u.sessions[sid];
+      found = sid;
+    });
+    return found;
+  }
+
+  function isActive(user, sid){
+    return !!(user && user.sessions && user.sessions[sid] && Date.parse(user.sessions[sid].expiresAt) > Date.now());
+  }
+
+  // Returns false when the session did not exist
+  function revoke(username, sid){
+    let found = false;
+    users.updateUsers(all => {
+      const u = all[username];
+      if(u && u.sessions && u.sessions[sid]) { delete u.sessions[sid]; found = true; }
+    });
+    return found;
+  }
+
+  // Sessions of one user for display, without the token hashes
+  function list(username, currentSid){
+    const u = users.loadUsers()[username];
+    return Object.entries((u && u.sessions) || {})
+      .filter(([sid]) => isActive(u, sid))
+      .map(([id, s]) => ({ id, createdAt: s.createdAt, lastUsedAt: s.lastUsedAt, expiresAt: s.expiresAt, ip: s.ip, userAgent: s.userAgent, current: id === currentSid }))
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  }
+
+  return { start, refresh, end, verifyAccess, signChallenge, verifyChallenge, isActive, revoke, list };
+}
+
+module.exports = { createSessions, rotateKeyFile };
@@ -0,0 +1,92 @@
+/*
+ LightTaskSheet - lib/sheets.js
+ Sheet index, content and version history on top of a store (lib/store.js),
+ shared by the server and the command-line scripts so both bump revisions
+ and record history the same way.
+
+ Sheet index: { <sheetId>: { id, name, owner, createdAt, updatedAt, revision, access } }
+ access maps other usernames to 'editor' or 'viewer'; the owner is implicit.
+ revision is bumped on every save and doubles as the sheet's ETag.
+ History keeps the sheet as saved at each of the last historyLimit revisions.
+*/
+
+const { migrateSheet } = require('../shared/sheet_schema');
+
+function uid(){ return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2,8); }
+function nowISO(){ return new Date().toISOString(); }
+
+// Sheets created before revisions existed start at 1
+function sheetRevision(info){
+  return info.revision || 1;
+}
+
+function createSheets(store, options){
+  const historyLimit = options.historyLimit;
+
+  function loadSheetIndex(){
+    return store.loadSheetIndex();
+  }
+
+  // Atomic read-modify-write of the sheet index; fn mutates the index object
+  function updateSheetIndex(fn){
+    return store.updateSheetIndex(fn);
+  }
+
+  // Sheets come back at the current schemaVersion; the upgrade is stored with the next save
+  function readSheet(sheetId){
+    return migrateSheet(store.readSheet(sheetId));
+  }
+
+  // Stores one version ({ revision, author, savedAt, ... }) and drops the
+  // oldest ones beyond historyLimit
+  function recordVersion(sheetId, version, sheet){
+    store.addVersion(sheetId, version, sheet, historyLimit);
+  }
+
+  function createSheet(owner, name, sheet){
+    const now = nowISO();
+    const info = { id: uid(), name, owner, createdAt: now, updatedAt: now, revision: 1, access: {} };
+    store.withSheet(info.id, () => {
+      store.writeSheet(info.id, sheet || null);
+      updateSheetIndex(index => { index[info.id] = info; });
+      recordVersion(info.id, { revision: 1, author: owner, savedAt: now }, sheet || null);
+    });
+    return info;
+  }
+
+  // Writes the sheet as the next revision and records it in history
+  function commitSheet(sheetId, sheet, author, extra){
+    return store.withSheet(sheetId, () => {
+      let revision, savedAt;
+      store.writeSheet(sheetId, sheet);
+      updateSheetIndex(index => {
+        const info = index[sheetId];
+        revision = sheetRevision(info) + 1;
+        savedAt = nowISO();
+        info.revision = revision;
+        info.updatedAt = savedAt;
+      });
+      recordVersion(sheetId, Object.assign({ revision, author, savedAt }, extra), sheet);
+      return revision;
+    });
+  }
+
+  function deleteSheet(sheetId){
+    store.withSheet(sheetId, () => {
+      updateSheetIndex(index => { delete index[sheetId]; });
+      store.removeSheet(sheetId);
+    });
+  }
+
+  function loadHistory(sheetId){
+    return store.loadHistory(sheetId);
+  }
+
+  function readVersion(sheetId, revision){
+    return migrateSheet(store.readVersion(sheetId, revision));
+  }
+
+  return { loadSheetIndex, updateSheetIndex, readSheet, createSheet, commitSheet, deleteSheet, loadHistory, readVersion };
+}
+
+module.exports = { createSheets, sheetRevision, uid, nowISO };
@@ -0,0 +1,177 @@
+/*
+ LightTaskSheet - lib/sqlite_store.js
+ Storage backend on an embedded SQLite database (see lib/store.js for the
+ interface). Records keep the same JSON shapes as the file store; each one
+ is a row with its JSON in a TEXT column, so both backends stay in step.
+ Needs the optional better-sqlite3 dependency.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (username TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS settings (name TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS invites (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS webhooks (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS delivery_payloads (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS sheets (id TEXT PRIMARY KEY, info TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS sheet_data (id TEXT PRIMARY KEY, data TEXT);
+  CREATE TABLE IF NOT EXISTS versions (
+    sheet_id TEXT NOT NULL, revision INTEGER NOT NULL, meta TEXT NOT NULL, data TEXT,
+    PRIMARY KEY (sheet_id, revision)
+  );
+  CREATE TABLE IF NOT EXISTS audit (id INTEGER PRIMARY KEY AUTOINCREMENT, at TEXT NOT NULL, data TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS audit_at ON audit (at);
+`;
+
+function openDatabase(file){
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch(e) {
+    throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Waits up to 10s for a write lock held by another process (e.g. a CLI script)
+  const db = new Database(file, { timeout: 10000 });
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+  db.exec(SCHEMA);
+  return db;
+}
+
+// Rewrites only the keyed records fn added, changed or deleted
+function updateRecords(db, table, key, column, fn){
+  const rows = db.prepare(`SELECT ${key} AS k, ${column} AS v FROM ${table}`).all();
+  const before = new Map(rows.map(r => [r.k, r.v]));
+  const records = {};
+  rows.forEach(r => { records[r.k] = JSON.parse(r.v); });
+  const result = fn(records);
+  const next = result === undefined ? records : result;
+  const upsert = db.prepare(`INSERT INTO ${table} (${key}, ${column}) VALUES (?, ?)
+    ON CONFLICT(${key}) DO UPDATE SET ${column} = excluded.${column}`);
+  const remove = db.prepare(`DELETE FROM ${table} WHERE ${key} = ?`);
+  Object.keys(next).forEach(k => {
+    const text = JSON.stringify(next[k]);
+    if(before.get(k) !== text) upsert.run(k, text);
+    before.delete(k);
+  });
+  before.forEach((v, k) => remove.run(k));
+  return next;
+}
+
+function parseOr(text, fallback){
+  return text === null || text === undefined ? fallback : JSON.parse(text);
+}
+
+function createSqliteStore(file){
+  const db = openDatabase(file);
+  // IMMEDIATE takes the write lock up front, so read-modify-write is safe
+  // across processes; nested calls become savepoints
+  const transaction = fn => db.transaction(fn).immediate();
+
+  function loadRecords(table, key, column){
+    const records = {};
+    db.prepare(`SELECT ${key} AS k, ${column} AS v FROM ${table}`).all()
+      .forEach(r => { records[r.k] = JSON.parse(r.v); });
+    return records;
+  }
+
+  return {
+    type: 'sqlite',
+    db,
+
+    loadUsers: () => loadRecords('users', 'username', 'data'),
+    updateUsers: fn => transaction(() => updateRecords(db, 'users', 'username', 'data', fn)),
+
+    loadSettings: () => loadRecords('settings', 'name', 'data'),
+    updateSettings: fn => transaction(() => updateRecords(db, 'settings', 'name', 'data', fn)),
+
+    loadInvites: () => loadRecords('invites', 'id', 'data'),
+    updateInvites: fn => transaction(() => updateRecords(db, 'invites', 'id', 'data', fn)),
+
+    loadWebhooks: () => loadRecords('webhooks', 'id', 'data'),
+    updateWebhooks: fn => transaction(() => updateRecords(db, 'webhooks', 'id', 'data', fn)),
+
+    readDeliveryPayload(id){
+      const row = db.prepare('SELECT data FROM delivery_payloads WHERE id = ?').get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    writeDeliveryPayload(id, payload){
+      db.prepare(`INSERT INTO delivery_payloads (id, data) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data`).run(id, JSON.stringify(payload));
+    },
+
+    removeDeliveryPayloads(ids){
+      const remove = db.prepare('DELETE FROM delivery_payloads WHERE id = ?');
+      transaction(() => ids.forEach(id => remove.run(id)));
+    },
+
+    loadSheetIndex: () => loadRecords('sheets', 'id', 'info'),
+    updateSheetIndex: fn => transaction(() => updateRecords(db, 'sheets', 'id', 'info', fn)),
+
+    readSheet(id){
+      const row = db.prepare('SELECT data FROM sheet_data WHERE id = ?').get(id);
+      return row ? parseOr(row.data, null) : null;
+    },
+
+    writeSheet(id, sheet){
+      db.prepare(`INSERT INTO sheet_data (id, data) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data`).run(id, JSON.stringify(sheet));
+    },
+
+    withSheet: (id, fn) => transaction(fn),
+
+    removeSheet(id){
+      transaction(() => {
+        db.prepare('DELETE FROM sheet_data WHERE id = ?').run(id);
+        db.prepare('DELETE FROM versions WHERE sheet_id = ?').run(id);
+      });
+    },
+
+    sheetSize(id){
+      const bytes = column => `COALESCE(SUM(length(CAST(${column} AS BLOB))), 0)`;
+      return db.prepare(`SELECT
+        (SELECT ${bytes('data')} FROM sheet_data WHERE id = ?) +
+        (SELECT ${bytes('meta')} + ${bytes('data')} FROM versions WHERE sheet_id = ?) AS size`).get(id, id).size;
+    },
+
+    loadHistory(id){
+      return db.prepare('SELECT meta FROM versions WHERE sheet_id = ? ORDER BY revision').all(id)
+        .map(r => JSON.parse(r.meta));
+    },
+
+    addVersion(id, version, sheet, limit){
+      transaction(() => {
+        db.prepare(`INSERT OR REPLACE INTO versions (sheet_id, revision, meta, data) VALUES (?, ?, ?, ?)`)
+          .run(id, version.revision, JSON.stringify(version), JSON.stringify(sheet));
+        db.prepare(`DELETE FROM versions WHERE sheet_id = ? AND revision NOT IN
+          (SELECT revision FROM versions WHERE sheet_id = ? ORDER BY revision DESC LIMIT ?)`).run(id, id, limit);
+      });
+    },
+
+    readVersion(id, revision){
+      const row = db.prepare('SELECT data FROM versions WHERE sheet_id = ? AND revision = ?').get(id, revision);
+      return row ? parseOr(row.data, null) : null;
+    },
+
+    appendAudit(entry){
+      db.prepare('INSERT INTO audit (at, data) VALUES (?, ?)').run(entry.at, JSON.stringify(entry));
+    },
+
+    readAudit({ from, to }){
+      return db.prepare('SELECT data FROM audit WHERE at >= ? AND at <= ? ORDER BY id')
+        .all(from || '', to || '9999')
+        .map(r => JSON.parse(r.data));
+    },
+
+    totalSize: () => ['', '-wal', '-shm'].reduce((sum, suffix) =>
+      sum + (fs.existsSync(file + suffix) ? fs.statSync(file + suffix).size : 0), 0),
+
+    close: () => db.close()
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,154 @@
+/*
+ LightTaskSheet - lib/storage.js
+ File I/O of the JSON store (lib/json_store.js) goes through here:
+  - writeJSON(): temp file + fsync + rename, so a crash never leaves a
+    half-written file; the previous version is kept as <file>.bak
+  - readJSON(): parses the file and falls back to <file>.bak if it is
+    empty or corrupt
+  - withLock(): serializes read-modify-write sequences per file, across
+    processes too (CLI scripts can run next to the server), via <file>.lock
+    holding the PID of its owner
+ Everything is synchronous like the rest of the server; a handler that
+ holds a lock must not await inside it. Within one process that makes the
+ in-memory count below the whole lock: synchronous code never contends, so
+ only another live process can make a caller wait, for one of its writes.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 10000;
+// A lock file without a readable PID (its owner died while writing it)
+// counts as stale after this, well before waiters give up
+const STALE_LOCK_MS = 2000;
+
+// file -> nesting depth of locks this process holds on it
+const held = new Map();
+
+// Blocks the event loop; only reached while another process holds the lock
+function sleep(ms){
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function processAlive(pid){
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch(e) {
+    return e.code === 'EPERM'; // exists, owned by another user
+  }
+}
+
+// Left behind by a crashed process: its PID is gone, or is our own (an
+// earlier run that got the same PID; withLock never acquires a lock twice)
+function staleLock(lock){
+  const pid = parseInt(fs.readFileSync(lock, 'utf8'), 10);
+  if(pid > 0) return pid === process.pid || !processAlive(pid);
+  return Date.now() - fs.statSync(lock).mtimeMs > STALE_LOCK_MS;
+}
+
+function ensureDir(dir){
+  if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function parseFile(file){
+  const text = fs.readFileSync(file, 'utf8');
+  if(!text.trim()) throw new Error(`${file} is empty`);
+  return JSON.parse(text);
+}
+
+function readJSON(file, fallback){
+  if(!fs.existsSync(file)) return fallback;
+  try {
+    return parseFile(file);
+  } catch(e) {
+    const bak = file + '.bak';
+    if(!fs.existsSync(bak)) throw e;
+    console.warn(`Could not read ${file} (${e.message}); using last good copy ${bak}`);
+    return parseFile(bak);
+  }
+}
+
+function fsyncDir(dir){
+  // Makes the rename durable; directories cannot be opened on Windows
+  try {
+    const fd = fs.openSync(dir, 'r');
+    try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+  } catch(e) {}
+}
+
+function writeJSON(file, data){
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if(fs.existsSync(file)) {
+    const bak = file + '.bak';
+    fs.rmSync(bak, { force: true });
+    try { fs.linkSync(file, bak); } catch(e) { fs.copyFileSync(file, bak); }
+  }
+  fs.renameSync(tmp, file);
+  fsyncDir(path.dirname(file));
+}
+
+function removeJSON(file){
+  fs.rmSync(file, { force: true });
+  fs.rmSync(file + '.bak', { force: true });
+}
+
+function acquire(file){
+  const lock = file + '.lock';
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for(;;){
+    try {
+      fs.writeFileSync(lock, String(process.pid), { flag: 'wx' });
+      return;
+    } catch(e) {
+      if(e.code !== 'EEXIST') throw e;
+    }
+    try {
+      if(staleLock(lock)) {
+        fs.rmSync(lock, { force: true });
+        continue;
+      }
+    } catch(e) {
+      continue; // released between our attempts
+    }
+    if(Date.now() > deadline) throw new Error(`Timed out waiting for lock on ${file}`);
+    sleep(10);
+  }
+}
+
+// Runs fn while holding the lock for file; re-entrant within this process
+function withLock(file, fn){
+  const depth = held.get(file) || 0;
+  if(depth === 0) acquire(file);
+  held.set(file, depth + 1);
+  try {
+    return fn();
+  } finally {
+    if(depth === 0) {
+      held.delete(file);
+      fs.rmSync(file + '.lock', { force: true });
+    } else {
+      held.set(file, depth);
+    }
+  }
+}
+
+// Locked read-modify-write; fn mutates the data in place or returns a replacement
+function updateJSON(file, fallback, fn){
+  return withLock(file, () => {
+    const data = readJSON(file, fallback);
+    const result = fn(data);
+    const next = result === undefined ? data : result;
+    writeJSON(file, next);
+    return next;
+  });
+}
+
+module.exports = { ensureDir, readJSON, writeJSON, removeJSON, withLock, updateJSON };
@@ -0,0 +1,58 @@
+/*
+ LightTaskSheet - lib/store.js
+ Picks the storage backend. Every backend implements the same synchronous
+ interface:
+  Users
+   - loadUsers()                       -> { <username>: { password, ... } }
+   - updateUsers(fn)                   atomic; fn mutates the users object
+  Settings (server-wide switches changed by admins)
+   - loadSettings()                    -> { <name>: value }
+   - updateSettings(fn)                atomic; fn mutates the settings object
+  Invites (registration links created by admins)
+   - loadInvites()                     -> { <inviteId>: invite }
+   - updateInvites(fn)                 atomic; fn mutates the invites object
+  Webhooks (per-sheet subscriptions with their delivery logs, see lib/webhooks.js)
+   - loadWebhooks()                    -> { <hookId>: webhook }
+   - updateWebhooks(fn)                atomic; fn mutates the webhooks object
+   - readDeliveryPayload(id)           -> payload of one delivery, or null
+   - writeDeliveryPayload(id, payload) / removeDeliveryPayloads(ids)
+  Sheets
+   - loadSheetIndex()                  -> { <sheetId>: info }
+   - updateSheetIndex(fn)              atomic; fn mutates the index object
+   - readSheet(id) / writeSheet(id, sheet)
+   - removeSheet(id)                   content and history
+   - withSheet(id, fn)                 runs fn with writes to that sheet serialized
+   - sheetSize(id)                     -> bytes stored for the sheet, and its history
+  History
+   - loadHistory(id)                   -> versions, oldest first
+   - addVersion(id, version, sheet, limit)  drops the oldest beyond limit
+   - readVersion(id, revision)
+  Audit log (append-only, see lib/audit.js)
+   - appendAudit(entry)
+   - readAudit({ from, to })           -> entries with from <= at <= to (ISO
+                                          times, either may be null), oldest first
+  - totalSize()                       -> bytes the whole store takes on disk
+  - close()
+*/
+
+const path = require('path');
+
+const TYPES = ['json', 'sqlite'];
+
+// config: { type: 'json' | 'sqlite', dataDir, sqliteFile }
+function createStore(config){
+  const type = config.type || 'json';
+  if(!TYPES.includes(type)) throw new Error(`Unknown storage type "${type}" (use ${TYPES.join(' or ')})`);
+  if(type === 'sqlite') {
+    const file = config.sqliteFile || path.join(config.dataDir, 'lighttasksheet.db');
+    return require('./sqlite_store').createSqliteStore(file);
+  }
+  return require('./json_store').createJsonStore(config.dataDir);
+}
+
+// Backend chosen with STORAGE=json|sqlite and SQLITE_FILE, as the server does
+function storeConfigFromEnv(dataDir){
+  return { type: process.env.STORAGE || 'json', dataDir, sqliteFile: process.env.SQLITE_FILE };
+}
+
+module.exports = { createStore, storeConfigFromEnv };
@@ -0,0 +1,85 @@
+/*
+ LightTaskSheet - lib/throttle.js
+ Counts failed attempts per key (an address or an account) and makes the
+ key wait before trying again:
+  - the first freeAttempts failures cost nothing
+  - every further failure doubles the wait, from baseDelayMs up to maxDelayMs
+  - lockoutAfter failures lock the key for lockoutMs
+ Failures are forgotten forgetMs after the last one, or when succeed() is
+ called. State is in memory only, like lib/live.js; a restart clears it.
+*/
+
+const SWEEP_MS = 10 * 60000;
+
+function createThrottle(options){
+  const { freeAttempts, lockoutAfter, lockoutMs, forgetMs } = options;
+  const baseDelayMs = options.baseDelayMs || 1000;
+  const maxDelayMs = options.maxDelayMs || 60000;
+  // key -> { failures, lastFailureAt, nextAttemptAt, lockedUntil } (epoch ms)
+  const entries = new Map();
+
+  function current(key, now){
+    const e = entries.get(key);
+    if(!e) return null;
+    if(now - e.lastFailureAt > forgetMs && !(e.lockedUntil > now)) {
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  }
+
+  // Returns null when the key may try now, else { retryAfter (seconds), locked }
+  function check(key){
+    const now = Date.now();
+    const e = current(key, now);
+    if(!e) return null;
+    const until = Math.max(e.lockedUntil || 0, e.nextAttemptAt || 0);
+    if(until <= now) return null;
+    return { retryAfter: Math.ceil((until - now) / 1000), locked: e.lockedUntil > now };
+  }
+
+  function fail(key){
+    const now = Date.now();
+    const e = current(key, now) || { failures: 0 };
+    // A lockout that has run out starts the count again
+    if(e.lockedUntil && e.lockedUntil <= now) { e.failures = 0; e.lockedUntil = null; }
+    e.failures++;
+    e.lastFailureAt = now;
+    const extra = e.failures - freeAttempts;
+    e.nextAttemptAt = extra > 0 ? now + Math.min(baseDelayMs * Math.pow(2, extra - 1), maxDelayMs) : null;
+    if(e.failures >= lockoutAfter) e.lockedUntil = now + lockoutMs;
+    entries.set(key, e);
+  }
+
+  function succeed(key){
+    entries.delete(key);
+  }
+
+  // Returns false when the key had no failures on record
+  function clear(key){
+    return entries.delete(key);
+  }
+
+  // Keys with failures on record, for the admin panel
+  function list(){
+    const now = Date.now();
+    return Array.from(entries.keys())
+      .map(key => [key, current(key, now)])
+      .filter(([, e]) => e)
+      .map(([key, e]) => ({
+        key,
+        failures: e.failures,
+        lastFailureAt: new Date(e.lastFailureAt).toISOString(),
+        nextAttemptAt: e.nextAttemptAt > now ? new Date(e.nextAttemptAt).toISOString() : null,
+        lockedUntil: e.lockedUntil > now ? new Date(e.lockedUntil).toISOString() : null
+      }));
+  }
+
+  // list() drops forgotten entries on the way
+  const sweep = setInterval(list, SWEEP_MS);
+  sweep.unref();
+
+  return { check, fail, succeed, clear, list };
+}
+
+module.exports = { createThrottle };
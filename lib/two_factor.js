@@ -0,0 +1,134 @@
+/*
+ LightTaskSheet - lib/two_factor.js
+ Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second
+ steps) and recovery codes. Works offline: secrets are generated here and
+ the QR code is drawn by the server, so nothing leaves the network.
+
+ On the user record:
+   twoFactor: { enabled, secret, pendingSecret?, lastStep?, recoveryCodes: [sha256 hex] }
+ pendingSecret is a secret shown for enrollment and not confirmed yet.
+ lastStep is the time step of the last accepted code, so a code cannot be
+ used twice.
+*/
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const ISSUER = 'LightTaskSheet';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step before or after are accepted for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer){
+  let bits = 0, value = 0, out = '';
+  for(const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while(bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if(bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(text){
+  let bits = 0, value = 0;
+  const out = [];
+  for(const ch of String(text).toUpperCase().replace(/[\s=-]/g, '')) {
+    const i = BASE32.indexOf(ch);
+    if(i === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | i;
+    bits += 5;
+    if(bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateSecret(){
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for one counter
+function hotp(secret, counter){
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const offset = mac[mac.length - 1] & 15;
+  const code = (mac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep(now){
+  return Math.floor((now || Date.now()) / 1000 / STEP_SECONDS);
+}
+
+// Returns the time step the code belongs to, or null; steps up to lastStep
+// were used already
+function verifyTotp(secret, code, lastStep){
+  const given = String(code || '').replace(/\s/g, '');
+  if(!/^\d{6}$/.test(given)) return null;
+  const now = currentStep();
+  for(let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if(lastStep !== undefined && lastStep !== null && step <= lastStep) continue;
+    if(crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URI that authenticator apps read from the QR code
+function provisioningUri(secret, username){
+  const label = encodeURIComponent(ISSUER + ':' + username);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// Resolves to the QR code as an SVG document
+function qrSvg(text){
+  return QRCode.toString(text, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+}
+
+function hashRecoveryCode(code){
+  return crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[\s-]/g, '')).digest('hex');
+}
+
+// Returns { codes (shown once), hashes (stored) }
+function generateRecoveryCodes(){
+  const codes = [];
+  for(let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    codes.push(crypto.randomBytes(5).toString('hex').toUpperCase().match(/.{5}/g).join('-'));
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Checks a TOTP or recovery code against twoFactor and, when it is valid,
+// records its use (lastStep, or the recovery code is removed). Call inside
+// updateUsers so a code cannot be used twice concurrently.
+// Returns 'totp', 'recovery' or null.
+function useCode(twoFactor, code){
+  const step = verifyTotp(twoFactor.secret, code, twoFactor.lastStep);
+  if(step !== null) {
+    twoFactor.lastStep = step;
+    return 'totp';
+  }
+  const hash = hashRecoveryCode(code);
+  const i = (twoFactor.recoveryCodes || []).indexOf(hash);
+  if(i === -1) return null;
+  twoFactor.recoveryCodes.splice(i, 1);
+  return 'recovery';
+}
+
+function isEnabled(user){
+  return !!(user && user.twoFactor && user.twoFactor.enabled);
+}
+
+module.exports = {
+  generateSecret, hotp, verifyTotp, provisioningUri, qrSvg, generateRecoveryCodes, useCode, isEnabled,
+  base32Encode, base32Decode
+};
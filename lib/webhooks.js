@@ -0,0 +1,406 @@
+/*
+ LightTaskSheet - lib/webhooks.js
+ Outgoing webhooks per sheet. Events come from comparing each saved revision
+ with the one before it, so they fire whichever client saved:
+  - row.created     a row id that was not in the previous revision
+  - row.deleted     a row id that is gone (each sub-row of a deleted row too)
+  - task.completed  an existing row's Status changed to Completed
+ (and ping, sent on request to test a subscription). Kept by the store:
+   { <hookId>: { sheetId, url, events, active, secret, createdBy, createdAt,
+                 updatedAt, deliveries: [delivery, newest first] } }
+   delivery: { id, eventId, event, createdAt, status: 'pending'|'delivered'|'failed',
+               attempts: [{ at, statusCode, error, response, durationMs }], nextAttemptAt }
+ Payloads are kept apart, one per delivery (store.readDeliveryPayload), so
+ recording an attempt does not rewrite every waiting payload.
+ Each delivery is one JSON POST signed with the hook's secret:
+   X-LTS-Signature: sha256=<hex HMAC-SHA256 of "<X-LTS-Timestamp>.<body>">
+ Any answer other than 2xx (redirects included) is retried after each of
+ retryDelays in turn, then the delivery is marked failed. Waiting retries
+ are kept in memory and picked up again by resume() after a restart.
+ Receivers on loopback, private, link-local or other internal addresses
+ are refused, checked on the address actually connected to (after DNS),
+ unless their host or address is in allowedHosts.
+*/
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { annotateRows } = require('../shared/sheet_tree');
+
+const EVENTS = ['task.completed', 'row.created', 'row.deleted'];
+const MAX_HOOKS_PER_SHEET = 10;
+const DELIVERY_LOG_LIMIT = 50;
+// Of the receiver's answer, kept in the delivery log
+const RESPONSE_LOG_CHARS = 500;
+
+function statusColumn(sheet){
+  return sheet ? sheet.columns.findIndex(c => c.name === 'Status') : -1;
+}
+
+// Row as sent in payloads: with its hierarchy number, nesting level and
+// cells keyed by column name
+function payloadRow(sheet, row){
+  const values = {};
+  sheet.columns.forEach((c, i) => { values[c.name] = row.cells[i]; });
+  return Object.assign({}, row, { values });
+}
+
+// [{ event, row, previousStatus? }] for the changes from before to after
+function sheetEvents(before, after){
+  const oldRows = before ? annotateRows(before) : [];
+  const newRows = after ? annotateRows(after) : [];
+  const oldById = new Map(oldRows.map(r => [r.id, r]));
+  const newIds = new Set(newRows.map(r => r.id));
+  const oldStatus = statusColumn(before), newStatus = statusColumn(after);
+  const events = [];
+  newRows.forEach(row => {
+    const old = oldById.get(row.id);
+    if(!old) return events.push({ event: 'row.created', row: payloadRow(after, row) });
+    if(newStatus === -1 || row.cells[newStatus] !== 'Completed') return;
+    const previous = oldStatus === -1 ? '' : old.cells[oldStatus];
+    if(previous !== 'Completed') events.push({ event: 'task.completed', row: payloadRow(after, row), previousStatus: previous });
+  });
+  oldRows.forEach(row => {
+    if(!newIds.has(row.id)) events.push({ event: 'row.deleted', row: payloadRow(before, row) });
+  });
+  return events;
+}
+
+// Addresses a webhook may not reach: this host, private networks and
+// anything else that is not a public unicast address
+const INTERNAL = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+ ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]].forEach(([a, bits]) => INTERNAL.addSubnet(a, bits, 'ipv4'));
+// 64:ff9b::/96 (NAT64), 2002::/16 (6to4) and 2001::/32 (Teredo) can carry
+// an internal IPv4 address
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([a, bits]) => INTERNAL.addSubnet(a, bits, 'ipv6'));
+
+function internalAddress(address){
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if(mapped) address = mapped[1];
+  const family = net.isIP(address);
+  return family === 0 || INTERNAL.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedError(address){
+  return new Error(`${address} is an internal address; add it to WEBHOOK_ALLOWED_HOSTS to allow it`);
+}
+
+// Keeps every pending delivery of a hook, so none is dropped before it is
+// sent, and the newest finished ones up to DELIVERY_LOG_LIMIT in all;
+// returns the ids of the dropped ones
+function trimLog(hook){
+  let room = DELIVERY_LOG_LIMIT - hook.deliveries.filter(d => d.status === 'pending').length;
+  const dropped = [];
+  hook.deliveries = hook.deliveries.filter(d => {
+    if(d.status === 'pending' || room-- > 0) return true;
+    dropped.push(d.id);
+    return false;
+  });
+  return dropped;
+}
+
+function sign(secret, timestamp, body){
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(timestamp + '.' + body).digest('hex');
+}
+
+function checkUrl(url){
+  let parsed;
+  try { parsed = new URL(url); } catch(e) { parsed = null; }
+  if(!parsed || !['http:', 'https:'].includes(parsed.protocol) || url.length > 2000) throw new Error('url must be an http or https URL');
+  return parsed.toString();
+}
+
+function checkEvents(events){
+  if(!Array.isArray(events) || !events.length || events.some(e => !EVENTS.includes(e))) {
+    throw new Error(`events must list one or more of ${EVENTS.join(', ')}`);
+  }
+  return Array.from(new Set(events));
+}
+
+// options: { retryDelays: [ms], timeoutMs, allowedHosts: [host names or
+// addresses that may be internal] }
+function createWebhooks(store, options){
+  const retryDelays = options.retryDelays;
+  const timeoutMs = options.timeoutMs;
+  const allowedHosts = new Set((options.allowedHosts || []).map(h => h.toLowerCase()));
+  const timers = new Map();   // delivery id -> timeout
+
+  function allowed(address){
+    return allowedHosts.has(address.toLowerCase()) || !internalAddress(address);
+  }
+
+  // checkUrl plus an early answer for URLs that name an internal address or
+  // localhost; other host names are checked when delivering
+  function checkTarget(url){
+    const checked = checkUrl(url);
+    const host = new URL(checked).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if(allowedHosts.has(host)) return checked;
+    if(host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && internalAddress(host))) throw blockedError(host);
+    return checked;
+  }
+
+  // dns.lookup that fails for internal addresses, so the check applies to
+  // the connection itself
+  function checkedLookup(hostname, lookupOptions, callback){
+    dns.lookup(hostname, lookupOptions, (err, address, family) => {
+      if(err) return callback(err);
+      const list = Array.isArray(address) ? address : [{ address, family }];
+      const bad = list.find(a => !allowed(a.address));
+      if(bad) return callback(blockedError(bad.address));
+      callback(null, address, family);
+    });
+  }
+
+  // POSTs body to url; resolves to { status, text } with the start of the
+  // answer. Redirects are not followed.
+  function post(url, headers, body){
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const host = target.hostname.replace(/^\[|\]$/g, '');
+      const hostAllowed = allowedHosts.has(host.toLowerCase());
+      // Addresses in the URL are connected to without a lookup
+      if(!hostAllowed && net.isIP(host) && internalAddress(host)) return reject(blockedError(host));
+      const client = target.protocol === 'https:' ? https : http;
+      const req = client.request(target, {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Length': Buffer.byteLength(body) }, headers),
+        lookup: hostAllowed ? undefined : checkedLookup
+      }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { if(text.length < RESPONSE_LOG_CHARS) text += chunk; });
+        res.on('end', () => { clearTimeout(timer); resolve({ status: res.statusCode, text: text.slice(0, RESPONSE_LOG_CHARS) }); });
+        res.on('error', e => { clearTimeout(timer); reject(e); });
+      });
+      const timer = setTimeout(() => req.destroy(new Error(`No answer within ${timeoutMs} ms`)), timeoutMs);
+      req.on('error', e => { clearTimeout(timer); reject(e); });
+      req.end(body);
+    });
+  }
+
+  function describe(id, hook){
+    const { secret, deliveries, ...info } = hook;
+    const last = deliveries[0];
+    return Object.assign({ id }, info, { lastDelivery: last ? { event: last.event, status: last.status, createdAt: last.createdAt } : null });
+  }
+
+  function list(sheetId){
+    const all = store.loadWebhooks();
+    return Object.keys(all).filter(id => all[id].sheetId === sheetId)
+      .map(id => describe(id, all[id]))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // fields: { url, events, active }; returns { webhook, secret } (the secret
+  // is shown once) or throws for invalid fields
+  function create(sheetId, fields, createdBy){
+    const url = checkTarget(String(fields.url || ''));
+    const events = checkEvents(fields.events);
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    const now = new Date().toISOString();
+    const hook = { sheetId, url, events, active: fields.active !== false, secret, createdBy, createdAt: now, updatedAt: now, deliveries: [] };
+    store.updateWebhooks(all => {
+      if(Object.values(all).filter(h => h.sheetId === sheetId).length >= MAX_HOOKS_PER_SHEET) {
+        throw new Error(`A sheet can have at most ${MAX_HOOKS_PER_SHEET} webhooks`);
+      }
+      all[id] = hook;
+    });
+    return { webhook: describe(id, hook), secret };
+  }
+
+  // fields: any of { url, events, active }; returns the webhook, null when it
+  // does not exist, or throws for invalid fields
+  function update(sheetId, id, fields){
+    const change = {};
+    if(fields.url !== undefined) change.url = checkTarget(String(fields.url));
+    if(fields.events !== undefined) change.events = checkEvents(fields.events);
+    if(fields.active !== undefined) change.active = !!fields.active;
+    let result = null;
+    store.updateWebhooks(all => {
+      const hook = all[id];
+      if(!hook || hook.sheetId !== sheetId) return;
+      Object.assign(hook, change, { updatedAt: new Date().toISOString() });
+      result = describe(id, hook);
+    });
+    return result;
+  }
+
+  // Removes the hooks pick(hook, id) selects, with their payloads; returns
+  // how many there were
+  function removeWhere(pick){
+    const payloads = [];
+    let count = 0;
+    store.updateWebhooks(all => {
+      Object.keys(all).filter(id => pick(all[id], id)).forEach(id => {
+        all[id].deliveries.forEach(d => payloads.push(d.id));
+        delete all[id];
+        count++;
+      });
+    });
+    store.removeDeliveryPayloads(payloads);
+    return count;
+  }
+
+  // Returns false when the webhook did not exist
+  function remove(sheetId, id){
+    return removeWhere((hook, hookId) => hookId === id && hook.sheetId === sheetId) > 0;
+  }
+
+  function removeSheet(sheetId){
+    removeWhere(hook => hook.sheetId === sheetId);
+  }
+
+  // Deliveries newest first with their payloads, or null when the webhook
+  // does not exist
+  function deliveries(sheetId, id){
+    const hook = store.loadWebhooks()[id];
+    if(!hook || hook.sheetId !== sheetId) return null;
+    return hook.deliveries.map(d => Object.assign({}, d, { payload: store.readDeliveryPayload(d.id) }));
+  }
+
+  function schedule(hookId, deliveryId, delay){
+    clearTimeout(timers.get(deliveryId));
+    const timer = setTimeout(() => {
+      timers.delete(deliveryId);
+      attempt(hookId, deliveryId).catch(e => console.error('Webhook delivery failed:', e.message));
+    }, delay);
+    timer.unref();
+    timers.set(deliveryId, timer);
+  }
+
+  function updateDelivery(hookId, deliveryId, fn){
+    let result = null, dropped = [];
+    store.updateWebhooks(all => {
+      const d = all[hookId] && all[hookId].deliveries.find(x => x.id === deliveryId);
+      if(!d) return;
+      result = fn(d, all[hookId]);
+      dropped = trimLog(all[hookId]);
+    });
+    store.removeDeliveryPayloads(dropped);
+    return result;
+  }
+
+  async function attempt(hookId, deliveryId){
+    const hook = store.loadWebhooks()[hookId];
+    const delivery = hook && hook.deliveries.find(d => d.id === deliveryId);
+    if(!delivery || delivery.status !== 'pending') return;
+    const payload = store.readDeliveryPayload(deliveryId);
+    if(!payload) {
+      updateDelivery(hookId, deliveryId, d => {
+        d.attempts.push({ at: new Date().toISOString(), statusCode: null, error: 'Payload not found', response: null, durationMs: 0 });
+        d.status = 'failed';
+        d.nextAttemptAt = null;
+      });
+      return;
+    }
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString(), statusCode: null, error: null, response: null, durationMs: 0 };
+    try {
+      const res = await post(hook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LightTaskSheet-Webhooks',
+        'X-LTS-Event': delivery.event,
+        'X-LTS-Delivery': delivery.id,
+        'X-LTS-Timestamp': timestamp,
+        'X-LTS-Signature': sign(hook.secret, timestamp, body)
+      }, body);
+      result.statusCode = res.status;
+      result.response = res.text;
+      if(res.status < 200 || res.status >= 300) result.error = `HTTP ${res.status}`;
+    } catch(e) {
+      result.error = e.message;
+    }
+    result.durationMs = Date.now() - started;
+    const retryIn = updateDelivery(hookId, deliveryId, d => {
+      d.attempts.push(result);
+      if(!result.error) { d.status = 'delivered'; d.nextAttemptAt = null; return null; }
+      const delay = retryDelays[d.attempts.length - 1];
+      if(delay === undefined) { d.status = 'failed'; d.nextAttemptAt = null; return null; }
+      d.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      return delay;
+    });
+    if(retryIn !== null) schedule(hookId, deliveryId, retryIn);
+  }
+
+  // Logs a pending delivery on each hook and sends it right away
+  function enqueue(hooks, event, payload){
+    const planned = hooks.map(hookId => [hookId, crypto.randomBytes(8).toString('hex')]);
+    // Payloads first, so every logged delivery has one
+    planned.forEach(([, deliveryId]) => store.writeDeliveryPayload(deliveryId, payload));
+    const queued = [], dropped = [];
+    store.updateWebhooks(all => {
+      planned.forEach(([hookId, deliveryId]) => {
+        const hook = all[hookId];
+        if(!hook) return dropped.push(deliveryId);
+        hook.deliveries.unshift({
+          id: deliveryId, eventId: payload.eventId, event,
+          createdAt: new Date().toISOString(), status: 'pending', attempts: [], nextAttemptAt: null
+        });
+        dropped.push(...trimLog(hook));
+        queued.push([hookId, deliveryId]);
+      });
+    });
+    store.removeDeliveryPayloads(dropped);
+    queued.forEach(([hookId, deliveryId]) => schedule(hookId, deliveryId, 0));
+    return queued.map(q => q[1]);
+  }
+
+  // Called after every save with the previous and the new revision;
+  // meta: { sheetId, name, revision, author }
+  function sheetSaved(before, after, meta){
+    const all = store.loadWebhooks();
+    const hooks = Object.keys(all).filter(id => all[id].sheetId === meta.sheetId && all[id].active);
+    if(!hooks.length) return;
+    sheetEvents(before, after).forEach(e => {
+      const listening = hooks.filter(id => all[id].events.includes(e.event));
+      if(!listening.length) return;
+      const payload = Object.assign({
+        eventId: crypto.randomBytes(8).toString('hex'), event: e.event, createdAt: new Date().toISOString(),
+        sheet: { id: meta.sheetId, name: meta.name }, revision: meta.revision, author: meta.author
+      }, e.event === 'task.completed' ? { previousStatus: e.previousStatus } : {}, { row: e.row });
+      enqueue(listening, e.event, payload);
+    });
+  }
+
+  // Sends a ping event; returns the delivery id, or null when the webhook
+  // does not exist
+  function ping(sheetId, id, sheetName, author){
+    const hook = store.loadWebhooks()[id];
+    if(!hook || hook.sheetId !== sheetId) return null;
+    return enqueue([id], 'ping', {
+      eventId: crypto.randomBytes(8).toString('hex'), event: 'ping', createdAt: new Date().toISOString(),
+      sheet: { id: sheetId, name: sheetName }, author
+    })[0];
+  }
+
+  // Sends a logged delivery's payload again as a new delivery; returns its
+  // id, or null when the webhook or delivery does not exist
+  function redeliver(sheetId, id, deliveryId){
+    const hook = store.loadWebhooks()[id];
+    const delivery = hook && hook.sheetId === sheetId && hook.deliveries.find(d => d.id === deliveryId);
+    const payload = delivery && store.readDeliveryPayload(deliveryId);
+    if(!payload) return null;
+    return enqueue([id], delivery.event, payload)[0];
+  }
+
+  // Schedules the deliveries that were still waiting when the server stopped
+  function resume(){
+    const all = store.loadWebhooks();
+    Object.keys(all).forEach(hookId => {
+      all[hookId].deliveries.filter(d => d.status === 'pending').forEach(d => {
+        const due = d.nextAttemptAt ? Date.parse(d.nextAttemptAt) - Date.now() : 0;
+        schedule(hookId, d.id, Math.max(due, 0));
+      });
+    });
+  }
+
+  return { list, create, update, remove, removeSheet, deliveries, sheetSaved, ping, redeliver, resume };
+}
+
+module.exports = { createWebhooks, sheetEvents, sign, EVENTS };
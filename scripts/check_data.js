@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/*
+ LightTaskSheet - scripts/check_data.js
+ Checks every sheet for orphaned sub-rows, parent cycles, duplicate ids,
+ cell counts that do not match the columns and sub-rows outside their
+ parent's block (see lib/integrity.js).
+
+   node scripts/check_data.js [--data-dir data] [--fix] [--json]
+
+ Uses the same storage backend as the server (STORAGE, SQLITE_FILE).
+ Without --fix nothing is written and the exit code is 1 when problems are
+ found. With --fix, damaged sheets are saved as a new revision (so the old
+ one stays in history) and a report of every change is written to
+ data/reports/.
+*/
+
+const path = require('path');
+const { createStore, storeConfigFromEnv } = require('../lib/store');
+const { createSheets } = require('../lib/sheets');
+const { scanData, writeReport } = require('../lib/integrity');
+
+function parseArgs(argv){
+  const args = { dataDir: path.join(__dirname, '..', 'data'), fix: false, json: false };
+  for(let i = 0; i < argv.length; i++) {
+    if(argv[i] === '--data-dir') args.dataDir = path.resolve(argv[++i]);
+    else if(argv[i] === '--fix') args.fix = true;
+    else if(argv[i] === '--json') args.json = true;
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  return args;
+}
+
+function printReport(report){
+  report.sheets.forEach(s => {
+    console.log(`Sheet "${s.name}" (${s.id}, owner ${s.owner})` + (s.revision ? ` - repaired as revision ${s.revision}` : ''));
+    s.issues.forEach(i => console.log(`  [${i.type}] ${i.message}`));
+  });
+  report.legacyFiles.forEach(f => {
+    console.log(`Legacy file ${f.file}` + (report.fix ? ' - repaired' : ''));
+    f.issues.forEach(i => console.log(`  [${i.type}] ${i.message}`));
+  });
+  const t = report.totals;
+  console.log(`Checked ${t.checked} sheet(s): ${t.issues} problem(s) in ${t.damaged}` + (report.fix && t.issues ? ', all repaired' : ''));
+}
+
+function main(){
+  const args = parseArgs(process.argv.slice(2));
+  const store = createStore(storeConfigFromEnv(args.dataDir));
+  try {
+    const sheets = createSheets(store, { historyLimit: parseInt(process.env.HISTORY_LIMIT, 10) || 50 });
+    const report = scanData({ store, sheets, dataDir: args.dataDir, fix: args.fix });
+    if(args.fix && report.totals.issues) report.reportFile = writeReport(args.dataDir, report);
+    if(args.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+    if(report.reportFile && !args.json) console.log('Report written to', report.reportFile);
+    if(!args.fix && report.totals.issues) process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+try {
+  main();
+} catch(e) {
+  console.error('Check failed:', e.message);
+  process.exit(2);
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/*
+ LightTaskSheet - scripts/migrate_to_sqlite.js
+ Copies a JSON data directory (users, settings, invites, webhooks with their
+ delivery payloads, sheets, history, audit log) into a SQLite database, then
+ start the server with STORAGE=sqlite.
+
+   node scripts/migrate_to_sqlite.js [--data-dir data] [--db data/lighttasksheet.db] [--force]
+
+ Records in the data directory are only read, though opening it creates any
+ missing sheets/, history/ and audit/ subdirectories. Refuses to write into
+ a database that already has users or sheets unless --force is given
+ (records with the same key are then overwritten and audit entries appended
+ again). Legacy data/<username>.json sheets are not copied; the server still
+ moves them into the store on that user's next login.
+*/
+
+const path = require('path');
+const { createJsonStore } = require('../lib/json_store');
+const { createSqliteStore } = require('../lib/sqlite_store');
+
+function parseArgs(argv){
+  const root = path.join(__dirname, '..');
+  const args = { dataDir: path.join(root, 'data'), db: process.env.SQLITE_FILE || null, force: false };
+  for(let i = 0; i < argv.length; i++) {
+    if(argv[i] === '--data-dir') args.dataDir = path.resolve(argv[++i]);
+    else if(argv[i] === '--db') args.db = path.resolve(argv[++i]);
+    else if(argv[i] === '--force') args.force = true;
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  args.db = args.db || path.join(args.dataDir, 'lighttasksheet.db');
+  return args;
+}
+
+function migrate(args){
+  const source = createJsonStore(args.dataDir);
+  const target = createSqliteStore(args.db);
+  try {
+    const existing = Object.keys(target.loadUsers()).length + Object.keys(target.loadSheetIndex()).length;
+    if(existing && !args.force) throw new Error(`${args.db} already has data; use --force to merge into it`);
+
+    const users = source.loadUsers();
+    const index = source.loadSheetIndex();
+    const auditEntries = source.readAudit({});
+    const counts = { users: Object.keys(users).length, sheets: 0, versions: 0, audit: auditEntries.length };
+
+    target.db.transaction(() => {
+      target.updateUsers(all => Object.assign(all, users));
+      target.updateSettings(all => Object.assign(all, source.loadSettings()));
+      target.updateInvites(all => Object.assign(all, source.loadInvites()));
+      const hooks = source.loadWebhooks();
+      target.updateWebhooks(all => Object.assign(all, hooks));
+      Object.values(hooks).forEach(hook => hook.deliveries.forEach(d => {
+        const payload = source.readDeliveryPayload(d.id);
+        if(payload) target.writeDeliveryPayload(d.id, payload);
+      }));
+      auditEntries.forEach(entry => target.appendAudit(entry));
+      Object.values(index).forEach(info => {
+        target.writeSheet(info.id, source.readSheet(info.id));
+        source.loadHistory(info.id).forEach(version => {
+          // addVersion's limit keeps everything that was kept on disk
+          target.addVersion(info.id, version, source.readVersion(info.id, version.revision), Number.MAX_SAFE_INTEGER);
+          counts.versions++;
+        });
+        counts.sheets++;
+      });
+      target.updateSheetIndex(all => Object.assign(all, index));
+    })();
+
+    console.log(`Migrated ${counts.users} users, ${counts.sheets} sheets, ${counts.versions} versions, ` +
+      `${counts.audit} audit entries into ${args.db}`);
+  } finally {
+    target.close();
+  }
+}
+
+try {
+  migrate(parseArgs(process.argv.slice(2)));
+} catch(e) {
+  console.error('Migration failed:', e.message);
+  process.exit(1);
+}
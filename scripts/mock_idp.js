@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/*
+ LightTaskSheet - scripts/mock_idp.js
+ A minimal OpenID Connect provider for trying out and testing single
+ sign-on without a real identity provider. Never use it in production:
+ anyone can log in as anyone.
+
+   node scripts/mock_idp.js [--port 4000] [--client-id lighttasksheet] [--client-secret mock-secret]
+
+ Then start the server with
+   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=lighttasksheet OIDC_CLIENT_SECRET=mock-secret \
+   OIDC_ROLE_MAP=lts-admins:admin,staff:member npm start
+
+ The login page asks for a username and groups. Its form can also be
+ posted directly (POST /authorize with the query string of the original
+ request plus username and groups), which is what automated tests do.
+ Supports discovery, the authorization code flow with PKCE (S256),
+ client_secret_basic and client_secret_post, and RS256 ID tokens.
+*/
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+function parseArgs(argv){
+  const args = { port: 4000, clientId: 'lighttasksheet', clientSecret: 'mock-secret' };
+  for(let i = 0; i < argv.length; i++) {
+    if(argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+    else if(argv[i] === '--client-id') args.clientId = argv[++i];
+    else if(argv[i] === '--client-secret') args.clientSecret = argv[++i];
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  return args;
+}
+
+function escapeHtml(text){
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function start(args){
+  const issuer = `http://localhost:${args.port}`;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(6).toString('hex');
+  // code -> { clientId, redirectUri, nonce, challenge, user, createdAt }
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req,res)=>{
+    res.json({
+      issuer,
+      authorization_endpoint: issuer + '/authorize',
+      token_endpoint: issuer + '/token',
+      jwks_uri: issuer + '/jwks',
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req,res)=>{
+    res.json({ keys: [Object.assign(publicKey.export({ format: 'jwk' }), { kid, use: 'sig', alg: 'RS256' })] });
+  });
+
+  app.get('/authorize', (req,res)=>{
+    if(req.query.client_id !== args.clientId) return res.status(400).send('Unknown client_id');
+    const action = '/authorize?' + new URLSearchParams(req.query);
+    res.send(`<!doctype html><title>Mock IdP</title>
+      <form method="post" action="${escapeHtml(action)}" style="font-family:sans-serif;max-width:320px;margin:60px auto">
+        <h3>Mock identity provider</h3>
+        <p><label>Username<br><input name="username" required autofocus></label></p>
+        <p><label>Groups (comma separated)<br><input name="groups" placeholder="staff"></label></p>
+        <button>Log in</button>
+      </form>`);
+  });
+
+  app.post('/authorize', (req,res)=>{
+    const q = req.query;
+    if(q.client_id !== args.clientId) return res.status(400).send('Unknown client_id');
+    if(q.response_type !== 'code') return res.status(400).send('Only response_type=code is supported');
+    if(q.code_challenge && q.code_challenge_method !== 'S256') return res.status(400).send('Only S256 PKCE is supported');
+    const username = String(req.body.username || '').trim();
+    if(!username) return res.status(400).send('Missing username');
+    const groups = String(req.body.groups || '').split(',').map(g => g.trim()).filter(Boolean);
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      clientId: q.client_id, redirectUri: q.redirect_uri, nonce: q.nonce, challenge: q.code_challenge,
+      user: { sub: 'mock-' + username, preferred_username: username, email: username + '@example.com', groups },
+      createdAt: Date.now()
+    });
+    const target = new URL(q.redirect_uri);
+    target.searchParams.set('code', code);
+    if(q.state) target.searchParams.set('state', q.state);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req,res)=>{
+    let clientId = req.body.client_id, clientSecret = req.body.client_secret;
+    const basic = (req.get('Authorization') || '').match(/^Basic (.+)$/);
+    if(basic) {
+      const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+      clientId = id;
+      clientSecret = secret;
+    }
+    if(clientId !== args.clientId || clientSecret !== args.clientSecret) return res.status(401).json({ error: 'invalid_client' });
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if(!grant || Date.now() - grant.createdAt > 60000 || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if(grant.challenge) {
+      const expected = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+      if(expected !== grant.challenge) return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+    const claims = Object.assign({ nonce: grant.nonce }, grant.user);
+    const idToken = jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: 300 });
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.listen(args.port, () => console.log(`Mock IdP at ${issuer} (client ${args.clientId} / ${args.clientSecret})`));
+}
+
+try {
+  start(parseArgs(process.argv.slice(2)));
+} catch(e) {
+  console.error('Mock IdP failed:', e.message);
+  process.exit(2);
+}
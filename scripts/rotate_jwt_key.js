@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/*
+ LightTaskSheet - scripts/rotate_jwt_key.js
+ Adds a new signing key to data/secrets/jwt_keys.json. New access tokens are
+ signed with it after the next server restart; tokens signed with the older
+ keys still verify as long as those keys are kept.
+
+   node scripts/rotate_jwt_key.js [--data-dir data] [--keep 2]
+
+ --keep is the number of keys kept, the new one included (default 2). Access
+ tokens live for minutes, so dropping a key only signs out clients that have
+ not refreshed since it was replaced. Not used when the server gets its keys
+ from JWT_KEYS or JWT_SECRET.
+*/
+
+const path = require('path');
+const { rotateKeyFile } = require('../lib/sessions');
+
+function parseArgs(argv){
+  const args = { dataDir: path.join(__dirname, '..', 'data'), keep: 2 };
+  for(let i = 0; i < argv.length; i++) {
+    if(argv[i] === '--data-dir') args.dataDir = path.resolve(argv[++i]);
+    else if(argv[i] === '--keep') args.keep = parseInt(argv[++i], 10);
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  if(!(args.keep >= 1)) throw new Error('--keep must be at least 1');
+  return args;
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  const data = rotateKeyFile(args.dataDir, args.keep);
+  console.log(`New signing key ${data.keys[0].kid}; keeping ${data.keys.map(k => k.kid).join(', ')}`);
+  console.log('Restart the server to sign with the new key.');
+} catch(e) {
+  console.error('Rotation failed:', e.message);
+  process.exit(2);
+}
@@ -2,138 +2,1584 @@
 /*
  LightTaskSheet - server.js (Production Build)
  Provides:
-  - Simple JWT auth (HMAC SHA256)
-  - JSON-file-based storage per user
-  - /api/register
-  - /api/login
-  - /api/sheet/:username  (GET/POST)
-  - No external dependencies except express, jsonwebtoken, bcryptjs
+  - JWT auth (HMAC SHA256) with account roles: admin, member, read-only;
+    short-lived access tokens, rotating refresh tokens and revocable
+    sessions (lib/sessions.js), signing keys from config with rotation
+  - Login, registration and reset attempts throttled per address and
+    account with lockout (lib/throttle.js); password policy
+    (lib/password_policy.js)
+  - Open or invite-only registration; invite links with a role and expiry,
+    admin-created accounts with a temporary password
+  - Optional TOTP two-factor authentication with recovery codes
+    (lib/two_factor.js), which admins can require for the admin role
+  - Optional OpenID Connect single sign-on next to local login, with
+    just-in-time accounts and IdP groups mapped to roles (lib/oidc.js)
+  - Personal access tokens for scripts (lib/api_tokens.js): read-only or
+    read-write, optionally limited to one sheet, accepted on /api/sheets
+  - Pluggable storage (lib/store.js): JSON files or embedded SQLite,
+    several named sheets per user
+  - Append-only audit log of logins, account changes and sheet saves with
+    a summary of the changed rows and cells (lib/audit.js)
+  - Per-sheet sharing with owner/editor/viewer roles
+  - Optimistic concurrency: sheet saves require If-Match with the current revision
+  - Bounded per-sheet version history with restore
+  - Row-level patch operations (shared/sheet_ops.js)
+  - Outgoing webhooks per sheet on task events found by comparing saves,
+    HMAC-signed with retries and a delivery log (lib/webhooks.js)
+  - Per-task API: rows addressed by id with filters and paging
+    (lib/row_query.js), numbered like the exports (shared/sheet_tree.js)
+  - CSV, JSON and XLSX exports of a sheet or a filtered part of it,
+    identical to the browser's (shared/sheet_export.js)
+  - Sheet schema checked on every save, stored sheets upgraded on read
+    (shared/sheet_schema.js)
+  - Live updates and presence over Server-Sent Events (lib/live.js)
+  - Crash-safe, locked JSON file I/O for the JSON store (lib/storage.js)
+  - /api/registration  (open or invite-only, invite check), /api/register
+  - /api/login, /api/login/2fa (second step), /api/login/2fa/setup and
+    /api/login/2fa/enable (enrollment when required), /api/login/change-password
+    (temporary passwords), /api/refresh, /api/logout
+  - /api/2fa  (GET status), /setup, /enable, /disable, /recovery-codes
+  - /api/oidc/config, /api/oidc/login, /api/oidc/callback, /api/oidc/exchange
+  - /api/sessions  (GET list / DELETE revoke)
+  - /api/tokens  (GET list / POST create / DELETE revoke)
+  - /api/password-policy
+  - /api/reset-token, /api/reset-password  (one-time reset codes)
+  - /api/sheets  (GET list / POST create)
+  - /api/sheets/:sheetId  (GET load / POST save / PATCH rename / DELETE)
+  - /api/sheets/:sheetId/ops  (POST batch of row/column operations)
+  - /api/sheets/:sheetId/export.csv, export.json, export.xlsx  (GET, with row filters)
+  - /api/sheets/:sheetId/rows  (GET filtered list / POST create) and
+    /rows/:rowId  (GET / PATCH / DELETE)
+  - /api/sheets/:sheetId/events  (GET event stream) and /presence (POST)
+  - /api/sheets/:sheetId/webhooks  (GET list / POST create / PATCH / DELETE,
+    /:hookId/deliveries, /:hookId/ping, redeliver)
+  - /api/sheets/:sheetId/access  (GET list / POST grant / DELETE revoke)
+  - /api/sheets/:sheetId/history  (GET list / GET version / POST restore)
+  - /api/admin/users, /create-user, /set-role, /disable-user, /enable-user, /delete-user
+  - /api/admin/invites  (GET list / POST create / DELETE revoke)
+  - /api/admin/lockouts  (GET list) and /api/admin/unlock
+  - /api/admin/settings  (GET / POST), /api/admin/reset-2fa
+  - /api/admin/audit  (GET entries with filters)
+  - /api/admin/integrity  (GET check / POST fix)
+  - No external dependencies except express, jsonwebtoken, bcryptjs, qrcode
+    (better-sqlite3 only when STORAGE=sqlite)
 */
 
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { applyOps, subtreeIds } = require('./shared/sheet_ops');
+const { migrateSheet, validateSheet } = require('./shared/sheet_schema');
+const live = require('./lib/live');
+const storage = require('./lib/storage');
+const { createStore, storeConfigFromEnv } = require('./lib/store');
+const { createSheets, sheetRevision, nowISO } = require('./lib/sheets');
+const integrity = require('./lib/integrity');
+const { createSessions } = require('./lib/sessions');
+const { createThrottle } = require('./lib/throttle');
+const { policyFromEnv, passwordProblems, describePolicy } = require('./lib/password_policy');
+const twoFactor = require('./lib/two_factor');
+const { createOidc, configFromEnv: oidcConfigFromEnv } = require('./lib/oidc');
+const { createApiTokens, isApiToken } = require('./lib/api_tokens');
+const { createAudit, summarizeChanges, ACTIONS: AUDIT_ACTIONS } = require('./lib/audit');
+const { queryRows, filterRows, cellUpdates, rowRef, lastRowUnder, insertRowOp } = require('./lib/row_query');
+const { createWebhooks, EVENTS: WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { annotateRows } = require('./shared/sheet_tree');
+const { toCSV, toJSON, toXLSX } = require('./shared/sheet_export');
+const { MIME_TYPE: XLSX_MIME_TYPE } = require('./shared/sheet_xlsx');
 
 const app = express();
 app.use(express.json({ limit: '2mb' }));
+// Behind a reverse proxy set TRUST_PROXY (hop count, "loopback", addresses)
+// so per-address limits see the client's address rather than the proxy's
+if(process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
 
 const DATA_DIR = path.join(__dirname, 'data');
-if(!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
+storage.ensureDir(DATA_DIR);
+
+// STORAGE=json (default, files under data/) or sqlite (SQLITE_FILE, default
+// data/lighttasksheet.db); scripts/migrate_to_sqlite.js moves data/ across.
+// Users: { <username>: { password (null for SSO-only accounts), role,
+//   disabled?, sessions?, reset?, twoFactor?, sso?: { issuer, subject } } };
+// sheets are described in lib/sheets.js.
+const store = createStore(storeConfigFromEnv(DATA_DIR));
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 50;
+// Outgoing webhooks: seconds to wait before each retry of a failed delivery,
+// and how long a receiver gets to answer
+const WEBHOOK_RETRY_SECONDS = (process.env.WEBHOOK_RETRY_SECONDS || '10,60,300,1800,7200')
+  .split(',').map(s => parseFloat(s)).filter(n => n >= 0);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Receivers on internal addresses (this host, private networks) are refused
+// unless listed here by host name or address
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean);
+
+// Usernames end up in file names (legacy data/<username>.json sheets), so
+// only plain names are accepted for new accounts: letters, digits and
+// . _ - @ +, not starting with a dot and without ".."
+const USERNAME_PATTERN = /^[A-Za-z0-9_@+-][A-Za-z0-9._@+-]{0,63}$/;
+const USERNAME_RULE = "Usernames may only use letters, digits and . _ - @ + (up to 64, not starting with a dot)";
+function validUsername(username){
+  return typeof username === 'string' && USERNAME_PATTERN.test(username) && !username.includes('..');
+}
+
+// Account roles: admins manage users, members work on sheets, read-only
+// accounts can only view the sheets shared with them
+const USER_ROLES = ['admin', 'member', 'read-only'];
 
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-if(!fs.existsSync(USERS_FILE)) {
+if(!Object.keys(store.loadUsers()).length) {
   // Create default admin user
-  const defaultUsers = {
-    admin: { password: bcrypt.hashSync('admin123', 10) }
-  };
-  fs.writeFileSync(USERS_FILE, JSON.stringify(defaultUsers, null, 2));
+  store.updateUsers(users => {
+    users.admin = { password: bcrypt.hashSync('admin123', 10), role: 'admin', createdAt: new Date().toISOString() };
+  });
   console.log('Created default admin user (username: admin, password: admin123)');
 }
 
-const SECRET = "lighttasksheet-secret-key-change-this";
+// Accounts from before roles: the 'admin' username was the only admin
+store.updateUsers(users => {
+  Object.entries(users).forEach(([username, u]) => {
+    if(!USER_ROLES.includes(u.role)) u.role = username === 'admin' ? 'admin' : 'member';
+  });
+});
+
+const RESET_CODE_TTL_MINUTES = parseInt(process.env.RESET_CODE_TTL_MINUTES, 10) || 30;
 
 function loadUsers(){
-  if(!fs.existsSync(USERS_FILE)) return {};
-  return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8') || "{}");
+  return store.loadUsers();
+}
+
+// Atomic read-modify-write of the users; fn mutates the users object
+function updateUsers(fn){
+  return store.updateUsers(fn);
+}
+
+// Access/refresh tokens and login sessions; signing keys come from JWT_KEYS,
+// JWT_SECRET or data/secrets/jwt_keys.json (see lib/sessions.js)
+const sessions = createSessions({ loadUsers, updateUsers }, DATA_DIR);
+const apiTokens = createApiTokens({ loadUsers, updateUsers });
+// Append-only record of logins, account changes and sheet saves (lib/audit.js)
+const audit = createAudit(store);
+
+function sessionMeta(req){
+  return { ip: req.ip, userAgent: req.get('User-Agent') || null };
+}
+
+/* =======================
+   Brute-force protection and password policy
+   ======================= */
+// Failed logins are counted per account (any username, so a lockout says
+// nothing about whether it exists) and per address; failed reset codes per
+// address. Registrations are limited per address and hour.
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3;
+const REGISTER_LIMIT_PER_HOUR = parseInt(process.env.REGISTER_LIMIT_PER_HOUR, 10) || 10;
+const accountAttempts = createThrottle({
+  freeAttempts: LOGIN_FREE_ATTEMPTS,
+  lockoutAfter: parseInt(process.env.LOGIN_LOCKOUT_ATTEMPTS, 10) || 10,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60000,
+  forgetMs: 60 * 60000
+});
+const addressAttempts = createThrottle({
+  freeAttempts: LOGIN_FREE_ATTEMPTS * 3,
+  lockoutAfter: parseInt(process.env.LOGIN_IP_LOCKOUT_ATTEMPTS, 10) || 50,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60000,
+  forgetMs: 60 * 60000
+});
+// Every registration counts, so there is no delay before the limit
+const registrations = createThrottle({
+  freeAttempts: REGISTER_LIMIT_PER_HOUR,
+  lockoutAfter: REGISTER_LIMIT_PER_HOUR,
+  lockoutMs: 60 * 60000,
+  forgetMs: 60 * 60000
+});
+const passwordPolicy = policyFromEnv(process.env);
+// Compared against when the account does not exist, so an unknown username
+// takes as long to reject as a wrong password
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Responds 429 with Retry-After when one of the [throttle, key] pairs has to
+// wait; returns true when it did
+function throttled(res, checks){
+  const wait = checks.map(([throttle, key]) => throttle.check(key)).filter(Boolean)
+    .sort((a, b) => b.retryAfter - a.retryAfter)[0];
+  if(!wait) return false;
+  res.set('Retry-After', String(wait.retryAfter));
+  const error = wait.locked
+    ? `Too many attempts; locked for ${Math.ceil(wait.retryAfter / 60)} minute(s)`
+    : `Too many attempts; try again in ${wait.retryAfter} second(s)`;
+  res.status(429).json({ error, retryAfter: wait.retryAfter });
+  return true;
+}
+
+/* =======================
+   Two-factor authentication (lib/two_factor.js)
+   ======================= */
+function twoFactorRequired(user){
+  return user.role === 'admin' && loadSettings().requireAdminTwoFactor;
+}
+
+// Stores a new secret awaiting confirmation and responds with it, its
+// otpauth:// URI and the QR code (SVG) for authenticator apps
+function startEnrollment(res, username){
+  const secret = twoFactor.generateSecret();
+  updateUsers(users => {
+    users[username].twoFactor = Object.assign({}, users[username].twoFactor, { pendingSecret: secret });
+  });
+  const uri = twoFactor.provisioningUri(secret, username);
+  twoFactor.qrSvg(uri).then(
+    qr => res.json({ secret, uri, qr }),
+    err => res.status(500).json({ error: 'Could not draw QR code: ' + err.message })
+  );
+}
+
+// Turns two-factor on when code matches the pending secret; returns the new
+// recovery codes, or null
+function confirmEnrollment(username, code){
+  let codes = null;
+  updateUsers(users => {
+    const current = users[username] && users[username].twoFactor;
+    if(!current || !current.pendingSecret) return;
+    const step = twoFactor.verifyTotp(current.pendingSecret, code, null);
+    if(step === null) return;
+    const recovery = twoFactor.generateRecoveryCodes();
+    users[username].twoFactor = { enabled: true, secret: current.pendingSecret, lastStep: step, recoveryCodes: recovery.hashes };
+    codes = recovery.codes;
+  });
+  return codes;
+}
+
+// What a login still needs once the password is settled: the second factor
+// (or enrollment when it is required but not set up), else the session
+function loginSecondStep(req, res, username, user){
+  // The account's failures are only cleared once the second step passes too
+  if(twoFactor.isEnabled(user)) {
+    return res.json({ username, twoFactor: 'verify', challenge: sessions.signChallenge(username, '2fa') });
+  }
+  if(twoFactorRequired(user)) {
+    return res.json({ username, twoFactor: 'enroll', challenge: sessions.signChallenge(username, '2fa-enroll') });
+  }
+  return completeLogin(req, res, username);
+}
+
+// lastLoginAt on the account for the admin overview, and the audit entry
+function recordLogin(req, username, method){
+  updateUsers(users => { users[username].lastLoginAt = nowISO(); });
+  audit.record(req, 'login', { username, details: { method } });
+}
+
+// Starts a session once every login step has passed
+function completeLogin(req, res, username, extra){
+  accountAttempts.succeed(username.toLowerCase());
+  recordLogin(req, username, 'password');
+  const role = loadUsers()[username].role;
+  const tokens = sessions.start(username, sessionMeta(req));
+  return res.json(Object.assign(tokens, { username, role }, extra));
+}
+
+// Username of a login challenge, throttled like the login itself; responds
+// itself and returns null when the challenge is not usable
+function challengeUser(req, res, purpose){
+  const username = sessions.verifyChallenge(req.body.challenge, purpose);
+  if(!username) { res.status(401).json({error:"Login expired; please log in again"}); return null; }
+  if(throttled(res, [[addressAttempts, req.ip], [accountAttempts, username.toLowerCase()]])) return null;
+  return username;
+}
+
+function failedCode(req, res, username){
+  addressAttempts.fail(req.ip);
+  accountAttempts.fail(username.toLowerCase());
+  audit.record(req, 'login.failed', { username, details: { reason: 'code' } });
+  return res.status(401).json({error:"Invalid code"});
+}
+
+/* =======================
+   Single sign-on (lib/oidc.js)
+   ======================= */
+const oidc = createOidc(oidcConfigFromEnv(process.env));
+// The callback hands the new session to the page through a one-time code
+// in the URL fragment: code -> { login, createdAt }
+const ssoHandoffs = new Map();
+const SSO_HANDOFF_TTL_MS = 60000;
+
+// Creates the account of a new SSO user, or updates the role of a known one
+// from the IdP groups (the last enabled admin keeps theirs); returns
+// { username } or { error }
+function provisionSsoUser(claims){
+  const username = oidc.usernameOf(claims);
+  if(typeof username !== 'string' || !username) return { error: 'The identity provider sent no username' };
+  const identity = { issuer: claims.iss, subject: claims.sub };
+  const role = oidc.mappedRole(claims);
+  let error = null;
+  updateUsers(users => {
+    const u = users[username];
+    if(!role && !oidc.defaultRole) { error = 'Your account is not in a group that may use LightTaskSheet'; return; }
+    if(!u) {
+      if(!validUsername(username)) { error = `The identity provider sent an unusable username. ${USERNAME_RULE}`; return; }
+      users[username] = { password: null, role: role || oidc.defaultRole, sso: identity, createdAt: nowISO() };
+      return;
+    }
+    if(u.sso && (u.sso.issuer !== identity.issuer || u.sso.subject !== identity.subject)) { error = 'This username belongs to another SSO identity'; return; }
+    if(!u.sso && !oidc.linkExisting) { error = `A local account named ${username} already exists`; return; }
+    if(u.disabled) { error = 'Account disabled'; return; }
+    u.sso = identity;
+    if(role && role !== u.role && (role === 'admin' || enabledAdmins(users).some(name => name !== username))) u.role = role;
+  });
+  return error ? { error } : { username };
+}
+
+// Failures go back to the page, which shows them
+function ssoFailed(res, err){
+  console.warn('SSO login failed:', err.message);
+  res.redirect('/#sso_error=' + encodeURIComponent(err.message));
+}
+
+// Responds 400 when a new password breaks the policy; returns true when it did
+function weakPassword(res, password, username){
+  const problems = passwordProblems(passwordPolicy, password, username);
+  if(!problems.length) return false;
+  res.status(400).json({ error: problems[0], problems });
+  return true;
+}
+
+/* =======================
+   Password reset codes
+   ======================= */
+// Only a hash of the code is stored ({ reset: { hash, expiresAt } } on the user)
+function hashCode(code){
+  return crypto.createHash('sha256').update(String(code).toUpperCase()).digest('hex');
+}
+
+// Issues a single-use code like 3F9A-07C2-B1D4-E8A0, replacing any earlier one
+function issueResetCode(username){
+  const code = crypto.randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+  const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60000).toISOString();
+  updateUsers(users => {
+    users[username].reset = { hash: hashCode(code), expiresAt };
+  });
+  return { code, expiresAt };
+}
+
+function validResetCode(user, code){
+  if(!user || !user.reset || !code) return false;
+  if(Date.parse(user.reset.expiresAt) < Date.now()) return false;
+  const expected = Buffer.from(user.reset.hash, 'hex');
+  const given = Buffer.from(hashCode(code), 'hex');
+  return crypto.timingSafeEqual(expected, given);
+}
+
+/* =======================
+   Invites and admin-created accounts
+   ======================= */
+// Invite codes look like <inviteId>.<secret>; only a hash of the secret is stored:
+// { <inviteId>: { hash, role, createdBy, createdAt, expiresAt, usedBy?, usedAt? } }
+const INVITE_MAX_DAYS = 30;
+
+function inviteStatus(invite){
+  if(invite.usedBy) return 'used';
+  return Date.parse(invite.expiresAt) < Date.now() ? 'expired' : 'open';
+}
+
+function describeInvite(id, invite){
+  const { hash, ...info } = invite;
+  return Object.assign({ id }, info, { status: inviteStatus(invite) });
+}
+
+function createInvite(role, days, createdBy){
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(16).toString('hex');
+  const now = Date.now();
+  const invite = {
+    hash: hashCode(secret), role, createdBy,
+    createdAt: new Date(now).toISOString(), expiresAt: new Date(now + days * 86400000).toISOString()
+  };
+  store.updateInvites(invites => { invites[id] = invite; });
+  return { code: id + '.' + secret, invite: describeInvite(id, invite) };
+}
+
+// The open invite a code belongs to, or null. With usedBy set, it is marked
+// used inside the update so two registrations cannot share it.
+function findInvite(code, usedBy){
+  const m = String(code || '').match(/^([0-9a-f]+)\.(.+)$/);
+  if(!m) return null;
+  let found = null;
+  const check = invites => {
+    const invite = invites[m[1]];
+    if(!invite || inviteStatus(invite) !== 'open') return;
+    if(!crypto.timingSafeEqual(Buffer.from(invite.hash, 'hex'), Buffer.from(hashCode(m[2]), 'hex'))) return;
+    if(usedBy) Object.assign(invite, { usedBy, usedAt: nowISO() });
+    found = describeInvite(m[1], invite);
+  };
+  if(usedBy) store.updateInvites(check);
+  else check(store.loadInvites());
+  return found;
+}
+
+// Meets the password policy; the account has to replace it at first login
+function temporaryPassword(username){
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+  const groups = Math.max(4, Math.ceil(passwordPolicy.minLength / 5));
+  for(;;) {
+    const password = Array.from({ length: groups }, () =>
+      Array.from(crypto.randomBytes(4), b => alphabet[b % alphabet.length]).join('')).join('-');
+    if(!passwordProblems(passwordPolicy, password, username).length) return password;
+  }
+}
+
+/* =======================
+   Server settings
+   ======================= */
+// Switches admins change from the admin panel, with their defaults.
+// REGISTRATION=invite starts with registration by invitation only.
+const REGISTRATION = process.env.REGISTRATION || 'open';
+if(!['open', 'invite'].includes(REGISTRATION)) throw new Error('REGISTRATION must be open or invite');
+const SETTINGS = {
+  requireAdminTwoFactor: false,
+  inviteOnly: REGISTRATION === 'invite'
+};
+
+function loadSettings(){
+  return Object.assign({}, SETTINGS, store.loadSettings());
+}
+
+function enabledAdmins(users){
+  return Object.keys(users).filter(name => users[name].role === 'admin' && !users[name].disabled);
+}
+
+/* =======================
+   Sheet storage and version history (lib/sheets.js)
+   ======================= */
+const sheets = createSheets(store, { historyLimit: HISTORY_LIMIT });
+const {
+  loadSheetIndex, updateSheetIndex, readSheet, createSheet, commitSheet, deleteSheet, loadHistory, readVersion
+} = sheets;
+const webhooks = createWebhooks(store, {
+  retryDelays: WEBHOOK_RETRY_SECONDS.map(s => s * 1000), timeoutMs: WEBHOOK_TIMEOUT_MS, allowedHosts: WEBHOOK_ALLOWED_HOSTS
+});
+
+// Saves the next revision of req.sheetInfo's sheet, records the save in the
+// audit log with what changed since the previous revision and fires the
+// sheet's webhooks for those changes
+function saveRevision(req, sheet, extra){
+  const sheetId = req.sheetInfo.id;
+  return store.withSheet(sheetId, () => {
+    const previous = readSheet(sheetId);
+    const revision = commitSheet(sheetId, sheet, req.user, extra);
+    audit.record(req, 'sheet.save', {
+      target: sheetId,
+      details: Object.assign({ name: req.sheetInfo.name, revision, changes: summarizeChanges(previous, sheet) }, extra)
+    });
+    // The save stands even if queueing webhook deliveries fails
+    try {
+      webhooks.sheetSaved(previous, sheet, { sheetId, name: req.sheetInfo.name, revision, author: req.user });
+    } catch(e) {
+      console.error('Queueing webhooks failed for sheet', sheetId + ':', e.message);
+    }
+    return revision;
+  });
+}
+
+function revisionEtag(revision){
+  return '"' + revision + '"';
+}
+
+// Parses an If-Match header into a revision number, '*' or null
+function parseIfMatch(header){
+  if(!header) return null;
+  const value = header.trim();
+  if(value === '*') return '*';
+  const m = value.match(/^(?:W\/)?"?(\d+)"?$/);
+  return m ? parseInt(m[1], 10) : null;
 }
 
-function saveUsers(obj){
-  fs.writeFileSync(USERS_FILE, JSON.stringify(obj, null, 2));
+function sheetsOwnedBy(username){
+  return Object.values(loadSheetIndex()).filter(s => s.owner === username);
 }
 
+/* =======================
+   Sheet access
+   ======================= */
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Read-only accounts view every sheet they can reach, even their own
+function sheetRole(info, username, accountRole){
+  const role = info.owner === username ? 'owner' : (info.access && info.access[username]) || null;
+  return role && accountRole === 'read-only' ? 'viewer' : role;
+}
+
+function sheetsVisibleTo(username, accountRole){
+  return Object.values(loadSheetIndex())
+    .map(s => Object.assign({}, s, { role: sheetRole(s, username, accountRole) }))
+    .filter(s => s.role);
+}
+
+// Drops a deleted user from every access list
+function revokeAllAccess(username){
+  updateSheetIndex(index => {
+    Object.values(index).forEach(s => {
+      if(s.access && s.access[username]) delete s.access[username];
+    });
+  });
+}
+
+// Before workbooks every user had exactly one sheet in data/<username>.json.
+// Move it into the store the first time that user's sheets are listed.
+// users.json, settings.json, invites.json and webhooks.json belong to the JSON store.
+// Only plain names map to a file, and only to one directly in data/.
+function legacySheetFile(username){
+  if(!validUsername(username) || ['users', 'settings', 'invites', 'webhooks'].includes(username)) return null;
+  const file = path.resolve(DATA_DIR, username + '.json');
+  return path.dirname(file) === path.resolve(DATA_DIR) ? file : null;
+}
+
+function migrateLegacySheet(username){
+  const legacyFile = legacySheetFile(username);
+  if(!legacyFile) return;
+  storage.withLock(legacyFile, () => {
+    // A plain file only; a link could point anywhere
+    if(!fs.existsSync(legacyFile) || !fs.lstatSync(legacyFile).isFile()) return;
+    const sheet = migrateSheet(storage.readJSON(legacyFile, null));
+    createSheet(username, 'My Sheet', sheet);
+    fs.renameSync(legacyFile, legacyFile + '.migrated');
+    console.log('Migrated legacy sheet for user', username);
+  });
+}
+
+function validSheetId(id){
+  return typeof id === 'string' && /^[a-z0-9-]+$/i.test(id);
+}
+
+// Resolves :sheetId and checks the caller holds at least minRole on it;
+// sets req.sheetInfo and req.sheetRole
+function sheetAccess(minRole){
+  return (req, res, next) => {
+    const { sheetId } = req.params;
+    if(!validSheetId(sheetId)) return res.status(404).json({error:"Sheet not found"});
+    if(req.apiToken && req.apiToken.sheetId && req.apiToken.sheetId !== sheetId) return res.status(404).json({error:"Sheet not found"});
+    const info = loadSheetIndex()[sheetId];
+    if(!info) return res.status(404).json({error:"Sheet not found"});
+    const role = sheetRole(info, req.user, req.role);
+    if(!role) return res.status(404).json({error:"Sheet not found"});
+    if(ROLE_RANK[role] < ROLE_RANK[minRole]) return res.status(403).json({error:"Forbidden"});
+    req.sheetInfo = info;
+    req.sheetRole = role;
+    next();
+  };
+}
+
+// Writes need If-Match with the revision the client started from; a stale
+// revision gets 409 with the server copy so the client can resolve it.
+function requireRevision(req, res, next){
+  const expected = parseIfMatch(req.headers['if-match']);
+  if(expected === null) return res.status(428).json({error:"If-Match header with the sheet revision is required"});
+  const current = sheetRevision(req.sheetInfo);
+  if(expected !== '*' && expected !== current) {
+    res.set('ETag', revisionEtag(current));
+    return res.status(409).json({ error:"Conflict", revision: current, sheet: readSheet(req.sheetInfo.id) });
+  }
+  next();
+}
+
+function invalidSheet(res, problems){
+  return res.status(400).json({ error: 'Invalid sheet: ' + problems[0], problems });
+}
+
+// Saves must send a sheet at the current schemaVersion that passes every check
+function requireValidSheet(req, res, next){
+  const problems = validateSheet(req.body.sheet);
+  if(problems.length) return invalidSheet(res, problems);
+  next();
+}
+
+// EventSource cannot send headers, so the event stream takes the token as ?access_token=
+function tokenFromQuery(req, res, next){
+  if(!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = 'Bearer ' + req.query.access_token;
+  }
+  next();
+}
+
+// Sets req.user, req.role and req.sessionId. The token carries the role for
+// clients; the server uses the stored one so role changes and disabling apply
+// at once, and the session must still exist so revoking it does too.
 function auth(req, res, next){
   const h = req.headers['authorization'];
   if(!h) return res.status(401).json({error:"Missing Authorization"});
   const token = h.replace(/^Bearer\s+/i,'');
+  if(isApiToken(token)) return apiTokenAuth(token, req, res, next);
+  let dec;
   try{
-    const dec = jwt.verify(token, SECRET);
-    req.user = dec.username;
-    next();
+    dec = sessions.verifyAccess(token);
   }catch(e){
-    return res.status(401).json({error:"Invalid token"});
+    return res.status(401).json({error: e.name === 'TokenExpiredError' ? "Token expired" : "Invalid token"});
   }
+  const u = loadUsers()[dec.username];
+  if(!u || !sessions.isActive(u, dec.sid)) return res.status(401).json({error:"Session revoked"});
+  if(u.disabled) return res.status(401).json({error:"Account disabled"});
+  req.user = dec.username;
+  req.role = u.role;
+  req.sessionId = dec.sid;
+  next();
+}
+
+// Personal access tokens act for their owner on the sheet endpoints only, so
+// they cannot manage accounts, sessions or other tokens. A read token gets
+// the read-only account role: viewer on every sheet it reaches.
+// Sets req.user, req.role and req.apiToken ({ id, scope, sheetId }).
+function apiTokenAuth(token, req, res, next){
+  const found = apiTokens.verify(token);
+  if(!found) return res.status(401).json({error:"Invalid token"});
+  const u = loadUsers()[found.username];
+  if(!u) return res.status(401).json({error:"Invalid token"});
+  if(u.disabled) return res.status(401).json({error:"Account disabled"});
+  if(!req.path.startsWith('/api/sheets')) return res.status(403).json({error:"API tokens only work on /api/sheets endpoints"});
+  if(found.scope === 'read' && req.method !== 'GET' && req.method !== 'HEAD') return res.status(403).json({error:"This API token is read-only"});
+  req.user = found.username;
+  req.role = found.scope === 'read' ? 'read-only' : u.role;
+  req.sessionId = null;
+  req.apiToken = { id: found.id, scope: found.scope, sheetId: found.sheetId };
+  next();
 }
 
+function requireRole(...roles){
+  return (req, res, next) => {
+    if(!roles.includes(req.role)) return res.status(403).json({error:`Requires role ${roles.join(' or ')}`});
+    next();
+  };
+}
+
+app.get('/api/password-policy', (req,res)=>{
+  return res.json(Object.assign({ description: describePolicy(passwordPolicy) }, passwordPolicy));
+});
+
+// Whether anyone may register, and what an invite code grants
+app.get('/api/registration', (req,res)=>{
+  const result = { inviteOnly: loadSettings().inviteOnly };
+  if(req.query.invite) {
+    const invite = findInvite(req.query.invite);
+    result.invite = invite ? { role: invite.role, expiresAt: invite.expiresAt } : null;
+  }
+  return res.json(result);
+});
+
+// { username, password, invite? }; an invite sets the role and is needed
+// when registration is invite-only
 app.post('/api/register', (req,res)=>{
-  const { username, password } = req.body;
+  const { username, password, invite } = req.body;
+  if(throttled(res, [[registrations, req.ip]])) return;
+  registrations.fail(req.ip);
   if(!username || !password) return res.status(400).json({error:"Missing fields"});
-  const users = loadUsers();
-  if(users[username]) return res.status(400).json({error:"User exists"});
+  if(!validUsername(username)) return res.status(400).json({error:USERNAME_RULE});
+  if(!invite && loadSettings().inviteOnly) return res.status(403).json({error:"Registration is by invitation only"});
+  if(weakPassword(res, password, username)) return;
+  if(loadUsers()[username]) return res.status(400).json({error:"User exists"});
+  let role = 'member', inviteId = null;
+  if(invite) {
+    const used = findInvite(invite, username);
+    if(!used) return res.status(400).json({error:"Invalid or expired invite"});
+    role = used.role;
+    inviteId = used.id;
+  }
   const hash = bcrypt.hashSync(password,10);
-  users[username] = { password: hash };
-  saveUsers(users);
-  return res.json({ success:true });
+  let exists = false;
+  updateUsers(users => {
+    if(users[username]) { exists = true; return; }
+    users[username] = { password: hash, role, createdAt: nowISO() };
+  });
+  if(exists) return res.status(400).json({error:"User exists"});
+  audit.record(req, 'register', { username, target: username, details: { role, invite: inviteId } });
+  return res.json({ success:true, role });
 });
 
 app.post('/api/login', (req,res)=>{
   const { username, password } = req.body;
+  if(!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({error:"Missing fields"});
+  }
+  const account = username.toLowerCase();
+  if(throttled(res, [[addressAttempts, req.ip], [accountAttempts, account]])) return;
   const users = loadUsers();
   const u = users[username];
-  if(!u) return res.status(401).json({error:"Invalid login"});
-  if(!bcrypt.compareSync(password, u.password)) return res.status(401).json({error:"Invalid login"});
-  const token = jwt.sign({ username }, SECRET, { expiresIn:'7d' });
-  return res.json({ token, username });
+  const matches = bcrypt.compareSync(password, u && u.password ? u.password : DUMMY_HASH);
+  if(!u || !u.password || !matches) {
+    addressAttempts.fail(req.ip);
+    accountAttempts.fail(account);
+    audit.record(req, 'login.failed', { username, details: { reason: u ? 'password' : 'unknown user' } });
+    return res.status(401).json({error:"Invalid login"});
+  }
+  if(u.disabled) {
+    audit.record(req, 'login.failed', { username, details: { reason: 'disabled' } });
+    return res.status(403).json({error:"Account disabled"});
+  }
+  // Accounts created by an admin replace their temporary password first
+  if(u.mustChangePassword) {
+    return res.json({ username, passwordChange: 'required', challenge: sessions.signChallenge(username, 'password-change') });
+  }
+  return loginSecondStep(req, res, username, u);
+});
+
+// { challenge, newPassword } after a login with a temporary password;
+// answers with the next login step like /api/login
+app.post('/api/login/change-password', (req,res)=>{
+  const username = challengeUser(req, res, 'password-change');
+  if(!username) return;
+  const { newPassword } = req.body;
+  if(!newPassword || typeof newPassword !== 'string') return res.status(400).json({error:"Missing fields"});
+  if(weakPassword(res, newPassword, username)) return;
+  const hash = bcrypt.hashSync(newPassword, 10);
+  let user = null, unchanged = false;
+  updateUsers(users => {
+    const u = users[username];
+    // Checked inside the update so the challenge only works once
+    if(!u || u.disabled || !u.mustChangePassword) return;
+    if(bcrypt.compareSync(newPassword, u.password)) { unchanged = true; return; }
+    u.password = hash;
+    delete u.mustChangePassword;
+    user = u;
+  });
+  if(unchanged) return res.status(400).json({error:"Choose a password other than the temporary one"});
+  if(!user) return res.status(401).json({error:"Login expired; please log in again"});
+  audit.record(req, 'password.change', { username, target: username, details: { temporary: true } });
+  return loginSecondStep(req, res, username, user);
+});
+
+// Second login step: { challenge, code } with a code from the authenticator
+// app or a recovery code
+app.post('/api/login/2fa', (req,res)=>{
+  const username = challengeUser(req, res, '2fa');
+  if(!username) return;
+  let used = null, left;
+  updateUsers(users => {
+    const u = users[username];
+    if(!u || u.disabled || !twoFactor.isEnabled(u)) return;
+    used = twoFactor.useCode(u.twoFactor, req.body.code);
+    left = u.twoFactor.recoveryCodes.length;
+  });
+  if(!used) return failedCode(req, res, username);
+  return completeLogin(req, res, username, used === 'recovery' ? { recoveryCodesLeft: left } : {});
+});
+
+// Enrollment during login, for accounts that must use two-factor
+app.post('/api/login/2fa/setup', (req,res)=>{
+  const username = challengeUser(req, res, '2fa-enroll');
+  if(!username) return;
+  return startEnrollment(res, username);
+});
+
+app.post('/api/login/2fa/enable', (req,res)=>{
+  const username = challengeUser(req, res, '2fa-enroll');
+  if(!username) return;
+  const recoveryCodes = confirmEnrollment(username, req.body.code);
+  if(!recoveryCodes) return failedCode(req, res, username);
+  return completeLogin(req, res, username, { recoveryCodes });
+});
+
+// Trades a refresh token for a new access token and a new refresh token;
+// the old refresh token stops working
+app.post('/api/refresh', (req,res)=>{
+  const tokens = sessions.refresh(req.body.refreshToken, sessionMeta(req));
+  if(!tokens) return res.status(401).json({error:"Invalid refresh token"});
+  return res.json(tokens);
+});
+
+// Takes the refresh token rather than an access token, which may have expired
+app.post('/api/logout', (req,res)=>{
+  const sessionId = sessions.end(req.body.refreshToken);
+  if(sessionId) live.endSession(sessionId);
+  return res.json({ success: true });
+});
+
+app.get('/api/oidc/config', (req,res)=>{
+  return res.json({ enabled: oidc.enabled, label: oidc.label });
+});
+
+// Sends the browser to the identity provider
+app.get('/api/oidc/login', (req,res)=>{
+  if(!oidc.enabled) return res.status(404).json({error:"Single sign-on is not configured"});
+  oidc.authorizationUrl(`${req.protocol}://${req.get('host')}/api/oidc/callback`)
+    .then(url => res.redirect(url), err => ssoFailed(res, err));
+});
+
+// SSO logins skip the app's own two-factor step; the IdP is in charge of that
+app.get('/api/oidc/callback', (req,res)=>{
+  if(!oidc.enabled) return res.status(404).json({error:"Single sign-on is not configured"});
+  oidc.completeLogin(req.query).then(claims => {
+    const result = provisionSsoUser(claims);
+    if(result.error) {
+      audit.record(req, 'login.failed', { username: oidc.usernameOf(claims) || null, details: { method: 'sso', reason: result.error } });
+      return ssoFailed(res, new Error(result.error));
+    }
+    recordLogin(req, result.username, 'sso');
+    const role = loadUsers()[result.username].role;
+    const login = Object.assign(sessions.start(result.username, sessionMeta(req)), { username: result.username, role });
+    const now = Date.now();
+    ssoHandoffs.forEach((h, code) => { if(now - h.createdAt > SSO_HANDOFF_TTL_MS) ssoHandoffs.delete(code); });
+    const code = crypto.randomBytes(24).toString('base64url');
+    ssoHandoffs.set(code, { login, createdAt: now });
+    res.redirect('/#sso=' + code);
+  }).catch(err => ssoFailed(res, err));
+});
+
+// Returns the tokens of an SSO login for its one-time code
+app.post('/api/oidc/exchange', (req,res)=>{
+  const handoff = ssoHandoffs.get(req.body.code);
+  ssoHandoffs.delete(req.body.code);
+  if(!handoff || Date.now() - handoff.createdAt > SSO_HANDOFF_TTL_MS) return res.status(401).json({error:"Login expired; please try again"});
+  return res.json(handoff.login);
+});
+
+app.get('/api/2fa', auth, (req,res)=>{
+  const u = loadUsers()[req.user];
+  return res.json({
+    enabled: twoFactor.isEnabled(u),
+    required: twoFactorRequired(u),
+    recoveryCodesLeft: twoFactor.isEnabled(u) ? u.twoFactor.recoveryCodes.length : 0
+  });
+});
+
+// Changing two-factor needs the password again, not just a (maybe stolen) token
+function passwordConfirmed(req, res){
+  const u = loadUsers()[req.user];
+  if(!u.password) {
+    res.status(400).json({error:"This account signs in with SSO; two-factor is up to the identity provider"});
+    return false;
+  }
+  if(typeof req.body.password === 'string' && bcrypt.compareSync(req.body.password, u.password)) return true;
+  res.status(403).json({error:"Password is incorrect"});
+  return false;
+}
+
+app.post('/api/2fa/setup', auth, (req,res)=>{
+  if(!passwordConfirmed(req, res)) return;
+  return startEnrollment(res, req.user);
+});
+
+app.post('/api/2fa/enable', auth, (req,res)=>{
+  const recoveryCodes = confirmEnrollment(req.user, req.body.code);
+  if(!recoveryCodes) return res.status(400).json({error:"Invalid code"});
+  return res.json({ recoveryCodes });
+});
+
+app.post('/api/2fa/disable', auth, (req,res)=>{
+  if(!passwordConfirmed(req, res)) return;
+  if(twoFactorRequired(loadUsers()[req.user])) return res.status(400).json({error:"Two-factor authentication is required for your role"});
+  updateUsers(users => { delete users[req.user].twoFactor; });
+  return res.json({ success: true });
+});
+
+// Replaces the recovery codes; the old ones stop working
+app.post('/api/2fa/recovery-codes', auth, (req,res)=>{
+  if(!passwordConfirmed(req, res)) return;
+  let codes = null;
+  updateUsers(users => {
+    const u = users[req.user];
+    if(!twoFactor.isEnabled(u)) return;
+    const recovery = twoFactor.generateRecoveryCodes();
+    u.twoFactor.recoveryCodes = recovery.hashes;
+    codes = recovery.codes;
+  });
+  if(!codes) return res.status(400).json({error:"Two-factor authentication is not enabled"});
+  return res.json({ recoveryCodes: codes });
+});
+
+app.get('/api/sessions', auth, (req,res)=>{
+  return res.json({ sessions: sessions.list(req.user, req.sessionId) });
+});
+
+app.delete('/api/sessions/:sessionId', auth, (req,res)=>{
+  if(!sessions.revoke(req.user, req.params.sessionId)) return res.status(404).json({error:"Session not found"});
+  live.endSession(req.params.sessionId);
+  return res.json({ success: true });
+});
+
+app.get('/api/tokens', auth, (req,res)=>{
+  return res.json({ tokens: apiTokens.list(req.user) });
+});
+
+// The token itself is only in this response
+app.post('/api/tokens', auth, (req,res)=>{
+  const { name, scope, sheetId, expiresInDays } = req.body;
+  if(sheetId) {
+    const info = validSheetId(sheetId) && loadSheetIndex()[sheetId];
+    if(!info || !sheetRole(info, req.user, req.role)) return res.status(404).json({error:"Sheet not found"});
+  }
+  try{
+    return res.json(apiTokens.create(req.user, { name, scope, sheetId: sheetId || null, expiresInDays: Number(expiresInDays) }));
+  }catch(e){
+    return res.status(400).json({error: e.message});
+  }
+});
+
+app.delete('/api/tokens/:tokenId', auth, (req,res)=>{
+  if(!apiTokens.revoke(req.user, req.params.tokenId)) return res.status(404).json({error:"Token not found"});
+  live.endSession('token:' + req.params.tokenId);
+  return res.json({ success: true });
+});
+
+// Admins get a code for any account, everyone else only for their own
+app.post('/api/reset-token', auth, (req,res)=>{
+  const username = req.body.username || req.user;
+  if(username !== req.user && req.role !== 'admin') return res.status(403).json({error:"Admin access required"});
+  const u = loadUsers()[username];
+  if(!u) return res.status(404).json({error:"User not found"});
+  if(!u.password) return res.status(400).json({error:"This account signs in with SSO and has no password"});
+  const issued = issueResetCode(username);
+  audit.record(req, 'password.reset-code', { target: username });
+  return res.json(Object.assign({ username }, issued));
 });
 
 app.post('/api/reset-password', (req,res)=>{
-  const { username, newPassword } = req.body;
-  if(!username || !newPassword) return res.status(400).json({error:"Missing fields"});
-  const users = loadUsers();
-  if(!users[username]) return res.status(404).json({error:"User not found"});
+  const { username, code, newPassword } = req.body;
+  if(!username || !code || !newPassword) return res.status(400).json({error:"Missing fields"});
+  if(throttled(res, [[addressAttempts, req.ip]])) return;
+  if(weakPassword(res, newPassword, username)) return;
   const hash = bcrypt.hashSync(newPassword, 10);
-  users[username].password = hash;
-  saveUsers(users);
+  let valid = false;
+  updateUsers(users => {
+    const u = users[username];
+    // Checked inside the update so a code cannot be used twice concurrently
+    if(!validResetCode(u, code)) return;
+    valid = true;
+    u.password = hash;
+    // A new password ends every session and revokes every API token, since
+    // someone who had the account may have made one
+    u.sessions = {};
+    delete u.apiTokens;
+    delete u.reset;
+    delete u.mustChangePassword;
+  });
+  if(!valid) {
+    addressAttempts.fail(req.ip);
+    return res.status(400).json({error:"Invalid or expired reset code"});
+  }
+  accountAttempts.succeed(String(username).toLowerCase());
+  live.disconnectUser(username);
+  audit.record(req, 'password.reset', { username, target: username });
   return res.json({ success: true });
 });
 
-app.get('/api/admin/users', auth, (req,res)=>{
-  if(req.user !== 'admin') return res.status(403).json({error:"Admin access required"});
+// Sheets each user owns with their rows and bytes on disk, and the last save
+// each user made anywhere (as far as the kept history reaches)
+function userSheetStats(){
+  const stats = {};
+  const of = username => stats[username] = stats[username] || { sheets: 0, rows: 0, diskBytes: 0, lastSaveAt: null };
+  Object.values(loadSheetIndex()).forEach(info => {
+    const owner = of(info.owner);
+    const sheet = readSheet(info.id);
+    owner.sheets++;
+    owner.rows += sheet ? sheet.rows.length : 0;
+    owner.diskBytes += store.sheetSize(info.id);
+    loadHistory(info.id).forEach(version => {
+      const author = of(version.author);
+      if(!author.lastSaveAt || version.savedAt > author.lastSaveAt) author.lastSaveAt = version.savedAt;
+    });
+  });
+  return stats;
+}
+
+// Every account with its activity and storage figures, plus instance totals
+app.get('/api/admin/users', auth, requireRole('admin'), (req,res)=>{
   const users = loadUsers();
-  const usernames = Object.keys(users);
-  return res.json({ users: usernames });
+  const locked = new Map(accountAttempts.list().map(e => [e.key, e]));
+  const stats = userSheetStats();
+  const list = Object.keys(users).map(username => {
+    const u = users[username];
+    const attempts = locked.get(username.toLowerCase());
+    const sheetStats = stats[username] || { sheets: 0, rows: 0, diskBytes: 0, lastSaveAt: null };
+    return Object.assign({
+      username, role: u.role, disabled: !!u.disabled,
+      twoFactor: twoFactor.isEnabled(u),
+      sso: !!u.sso,
+      mustChangePassword: !!u.mustChangePassword,
+      failedLogins: attempts ? attempts.failures : 0,
+      lockedUntil: attempts ? attempts.lockedUntil : null,
+      createdAt: u.createdAt || null,
+      lastLoginAt: u.lastLoginAt || null,
+      activeSessions: Object.keys(u.sessions || {}).filter(sid => sessions.isActive(u, sid)).length
+    }, sheetStats);
+  });
+  const sum = field => list.reduce((total, u) => total + u[field], 0);
+  const totals = {
+    users: list.length,
+    admins: list.filter(u => u.role === 'admin').length,
+    disabled: list.filter(u => u.disabled).length,
+    sheets: Object.keys(loadSheetIndex()).length,
+    rows: sum('rows'),
+    diskBytes: sum('diskBytes'),
+    storageBytes: store.totalSize(),
+    activeSessions: sum('activeSessions'),
+    storage: store.type
+  };
+  return res.json({ users: list, totals });
 });
 
-app.post('/api/admin/delete-user', auth, (req,res)=>{
-  if(req.user !== 'admin') return res.status(403).json({error:"Admin access required"});
+app.get('/api/admin/settings', auth, requireRole('admin'), (req,res)=>{
+  return res.json(loadSettings());
+});
+
+// Changes the settings given in the body, e.g. { requireAdminTwoFactor: true }
+app.post('/api/admin/settings', auth, requireRole('admin'), (req,res)=>{
+  const changes = req.body || {};
+  const problem = Object.keys(changes).map(name => {
+    if(!(name in SETTINGS)) return `Unknown setting ${name}`;
+    if(typeof changes[name] !== typeof SETTINGS[name]) return `Setting ${name} must be a ${typeof SETTINGS[name]}`;
+    return null;
+  }).find(Boolean);
+  if(problem) return res.status(400).json({ error: problem });
+  store.updateSettings(settings => { Object.assign(settings, changes); });
+  audit.record(req, 'settings.change', { details: changes });
+  return res.json(loadSettings());
+});
+
+// { username, role, temporaryPassword? }; without a password one is made up.
+// The account must choose its own password at first login.
+app.post('/api/admin/create-user', auth, requireRole('admin'), (req,res)=>{
+  const { username, role } = req.body;
+  if(!username || typeof username !== 'string') return res.status(400).json({error:"Missing username"});
+  if(!validUsername(username)) return res.status(400).json({error:USERNAME_RULE});
+  if(!USER_ROLES.includes(role)) return res.status(400).json({error:`Role must be one of ${USER_ROLES.join(', ')}`});
+  const password = req.body.temporaryPassword || temporaryPassword(username);
+  if(weakPassword(res, password, username)) return;
+  const hash = bcrypt.hashSync(password, 10);
+  let exists = false;
+  updateUsers(users => {
+    if(users[username]) { exists = true; return; }
+    users[username] = { password: hash, role, mustChangePassword: true, createdAt: nowISO() };
+  });
+  if(exists) return res.status(400).json({error:"User exists"});
+  audit.record(req, 'user.create', { target: username, details: { role } });
+  return res.json({ success: true, username, role, temporaryPassword: password });
+});
+
+app.get('/api/admin/invites', auth, requireRole('admin'), (req,res)=>{
+  const invites = Object.entries(store.loadInvites())
+    .map(([id, invite]) => describeInvite(id, invite))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return res.json({ invites });
+});
+
+// { role, expiresInDays }; the code is only in this response
+app.post('/api/admin/invites', auth, requireRole('admin'), (req,res)=>{
+  const { role } = req.body;
+  const days = Number(req.body.expiresInDays);
+  if(!USER_ROLES.includes(role)) return res.status(400).json({error:`Role must be one of ${USER_ROLES.join(', ')}`});
+  if(!Number.isInteger(days) || days < 1 || days > INVITE_MAX_DAYS) {
+    return res.status(400).json({error:`expiresInDays must be a whole number from 1 to ${INVITE_MAX_DAYS}`});
+  }
+  return res.json(createInvite(role, days, req.user));
+});
+
+app.delete('/api/admin/invites/:inviteId', auth, requireRole('admin'), (req,res)=>{
+  let found = false;
+  store.updateInvites(invites => {
+    if(invites[req.params.inviteId]) { delete invites[req.params.inviteId]; found = true; }
+  });
+  if(!found) return res.status(404).json({error:"Invite not found"});
+  return res.json({ success: true });
+});
+
+// For a user who lost their authenticator and recovery codes
+app.post('/api/admin/reset-2fa', auth, requireRole('admin'), (req,res)=>{
+  const { username } = req.body;
+  let found = false;
+  updateUsers(users => {
+    if(!users[username]) return;
+    found = true;
+    delete users[username].twoFactor;
+  });
+  if(!found) return res.status(404).json({error:"User not found"});
+  audit.record(req, 'user.reset-2fa', { target: username });
+  return res.json({ success: true });
+});
+
+// Accounts (including unknown usernames) and addresses with failed attempts
+app.get('/api/admin/lockouts', auth, requireRole('admin'), (req,res)=>{
+  const rename = (entries, field) => entries.map(({ key, ...e }) => Object.assign({ [field]: key }, e));
+  return res.json({
+    accounts: rename(accountAttempts.list(), 'username'),
+    addresses: rename(addressAttempts.list(), 'ip')
+  });
+});
+
+// Clears the failed attempts of an account ({ username }) or an address ({ ip })
+app.post('/api/admin/unlock', auth, requireRole('admin'), (req,res)=>{
+  const { username, ip } = req.body;
+  if(!username && !ip) return res.status(400).json({error:"Missing username or ip"});
+  const cleared = username ? accountAttempts.clear(String(username).toLowerCase()) : addressAttempts.clear(ip);
+  if(!cleared) return res.status(404).json({error:"No failed attempts on record"});
+  return res.json({ success: true });
+});
+
+// Applies change(user) to one account unless that leaves no enabled admin;
+// responds 404/400 itself and returns false when nothing was changed
+function changeAccount(res, username, change){
+  if(!username) { res.status(400).json({error:"Missing username"}); return false; }
+  let error = null;
+  updateUsers(users => {
+    if(!users[username]) { error = [404, "User not found"]; return; }
+    const next = JSON.parse(JSON.stringify(users));
+    change(next[username]);
+    if(!enabledAdmins(next).length) { error = [400, "At least one enabled admin is required"]; return; }
+    change(users[username]);
+  });
+  if(error) { res.status(error[0]).json({ error: error[1] }); return false; }
+  return true;
+}
+
+app.post('/api/admin/set-role', auth, requireRole('admin'), (req,res)=>{
+  const { username, role } = req.body;
+  if(!USER_ROLES.includes(role)) return res.status(400).json({error:`Role must be one of ${USER_ROLES.join(', ')}`});
+  if(!changeAccount(res, username, u => { u.role = role; })) return;
+  audit.record(req, 'user.role', { target: username, details: { role } });
+  return res.json({ success: true });
+});
+
+app.post('/api/admin/disable-user', auth, requireRole('admin'), (req,res)=>{
+  const { username } = req.body;
+  if(username === req.user) return res.status(400).json({error:"Cannot disable your own account"});
+  if(!changeAccount(res, username, u => { u.disabled = true; u.sessions = {}; })) return;
+  live.disconnectUser(username);
+  audit.record(req, 'user.disable', { target: username });
+  return res.json({ success: true });
+});
+
+app.post('/api/admin/enable-user', auth, requireRole('admin'), (req,res)=>{
+  const { username } = req.body;
+  if(!changeAccount(res, username, u => { delete u.disabled; })) return;
+  audit.record(req, 'user.enable', { target: username });
+  return res.json({ success: true });
+});
+
+app.post('/api/admin/delete-user', auth, requireRole('admin'), (req,res)=>{
   const { username } = req.body;
   if(!username) return res.status(400).json({error:"Missing username"});
-  if(username === 'admin') return res.status(400).json({error:"Cannot delete admin"});
+  if(username === req.user) return res.status(400).json({error:"Cannot delete your own account"});
   
-  const users = loadUsers();
-  if(!users[username]) return res.status(404).json({error:"User not found"});
+  // Checked inside the update, like changeAccount, so two admins deleting
+  // each other cannot both pass
+  let error = null;
+  updateUsers(users => {
+    if(!users[username]) { error = [404, "User not found"]; return; }
+    const rest = Object.assign({}, users);
+    delete rest[username];
+    if(!enabledAdmins(rest).length) { error = [400, "At least one enabled admin is required"]; return; }
+    delete users[username];
+  });
+  if(error) return res.status(error[0]).json({ error: error[1] });
+  live.disconnectUser(username);
   
-  delete users[username];
-  saveUsers(users);
-  
-  // Also delete user's data file
-  const userFile = path.join(DATA_DIR, username + '.json');
-  if(fs.existsSync(userFile)) {
+  // Also delete user's sheets (and a not yet migrated legacy file)
+  const owned = sheetsOwnedBy(username);
+  owned.forEach(s => deleteSheet(s.id));
+  revokeAllAccess(username);
+  const userFile = legacySheetFile(username);
+  if(userFile && fs.existsSync(userFile)) {
     fs.unlinkSync(userFile);
   }
   
+  audit.record(req, 'user.delete', { target: username, details: { sheetsDeleted: owned.map(s => ({ id: s.id, name: s.name })) } });
   return res.json({ success: true });
 });
 
-app.get('/api/sheet/:username', auth, (req,res)=>{
-  if(req.params.username !== req.user) return res.status(403).json({error:"Forbidden"});
-  const file = path.join(DATA_DIR, req.user + '.json');
-  if(!fs.existsSync(file)) return res.json({ sheet: null });
-  const sheet = JSON.parse(fs.readFileSync(file,'utf8') || "null");
-  return res.json({ sheet });
+// Audit log, newest first: ?user=&action=&from=&to=&limit=&offset=
+// (user matches who acted or the target)
+app.get('/api/admin/audit', auth, requireRole('admin'), (req,res)=>{
+  try {
+    return res.json(Object.assign({ actions: AUDIT_ACTIONS }, audit.query(req.query)));
+  } catch(e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+// Integrity check over every sheet (lib/integrity.js); the fix variant saves
+// repaired sheets as new revisions and writes a report to data/reports/
+app.get('/api/admin/integrity', auth, requireRole('admin'), (req,res)=>{
+  return res.json(integrity.scanData({ store, sheets, dataDir: DATA_DIR, fix: false }));
+});
+
+app.post('/api/admin/integrity/fix', auth, requireRole('admin'), (req,res)=>{
+  const report = integrity.scanData({
+    store, sheets, dataDir: DATA_DIR, fix: true, author: req.user,
+    onFixed: (sheetId, revision) => {
+      live.publish(sheetId, 'sheet', { revision, author: req.user, clientId: null });
+      audit.record(req, 'sheet.save', { target: sheetId, details: { revision, repaired: true } });
+    }
+  });
+  if(report.totals.issues) report.reportFile = path.relative(DATA_DIR, integrity.writeReport(DATA_DIR, report));
+  return res.json(report);
+});
+
+app.get('/api/sheets', auth, (req,res)=>{
+  migrateLegacySheet(req.user);
+  const sheets = sheetsVisibleTo(req.user, req.role)
+    .filter(s => !req.apiToken || !req.apiToken.sheetId || s.id === req.apiToken.sheetId)
+    .sort((a,b) => a.createdAt.localeCompare(b.createdAt));
+  return res.json({ sheets });
+});
+
+app.post('/api/sheets', auth, requireRole('admin', 'member'), (req,res)=>{
+  if(req.apiToken && req.apiToken.sheetId) return res.status(403).json({error:"This API token is limited to one sheet"});
+  const { sheet } = req.body;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if(!name) return res.status(400).json({error:"Missing name"});
+  if(sheet) {
+    const problems = validateSheet(sheet);
+    if(problems.length) return invalidSheet(res, problems);
+  }
+  const info = createSheet(req.user, name, sheet);
+  audit.record(req, 'sheet.create', { target: info.id, details: { name: info.name } });
+  return res.json({ success:true, info: Object.assign({}, info, { role: 'owner' }) });
+});
+
+app.get('/api/sheets/:sheetId', auth, sheetAccess('viewer'), (req,res)=>{
+  const info = Object.assign({}, req.sheetInfo, { role: req.sheetRole, revision: sheetRevision(req.sheetInfo) });
+  res.set('ETag', revisionEtag(info.revision));
+  return res.json({ info, sheet: readSheet(req.sheetInfo.id) });
 });
 
-app.post('/api/sheet/:username', auth, (req,res)=>{
-  if(req.params.username !== req.user) return res.status(403).json({error:"Forbidden"});
+app.post('/api/sheets/:sheetId', auth, sheetAccess('editor'), requireRevision, requireValidSheet, (req,res)=>{
   const { sheet } = req.body;
-  const file = path.join(DATA_DIR, req.user + '.json');
-  fs.writeFileSync(file, JSON.stringify(sheet, null, 2));
+  const revision = saveRevision(req, sheet);
+  live.publish(req.sheetInfo.id, 'sheet', { revision, author: req.user, clientId: req.get('X-Client-Id') || null });
+  res.set('ETag', revisionEtag(revision));
+  return res.json({ success:true, revision });
+});
+
+// Applies { ops: [...] } atomically; a bad op rejects the whole batch
+app.post('/api/sheets/:sheetId/ops', auth, sheetAccess('editor'), requireRevision, (req,res)=>{
+  const { ops } = req.body;
+  const current = readSheet(req.sheetInfo.id);
+  if(!current) return res.status(400).json({error:"Sheet is empty; save it in full first"});
+  let sheet;
+  try {
+    sheet = applyOps(current, ops);
+  } catch(e) {
+    return res.status(400).json({ error: e.message, opIndex: e.opIndex });
+  }
+  const problems = validateSheet(sheet);
+  if(problems.length) return invalidSheet(res, problems);
+  const revision = saveRevision(req, sheet);
+  live.publish(req.sheetInfo.id, 'ops', { revision, author: req.user, clientId: req.get('X-Client-Id') || null, ops });
+  res.set('ETag', revisionEtag(revision));
+  return res.json({ success:true, revision });
+});
+
+/* =======================
+   Exports (shared/sheet_export.js): the browser's export files, rendered on
+   the server for scripts and reporting tools
+   ======================= */
+const EXPORT_FORMATS = {
+  csv:  { type: 'text/csv; charset=utf-8', render: (sheet, rows) => toCSV(sheet, rows) },
+  json: { type: 'application/json; charset=utf-8', render: (sheet, rows) => toJSON(sheet, rows) },
+  xlsx: { type: XLSX_MIME_TYPE, render: (sheet, rows, timeZone) => Buffer.from(toXLSX(sheet, rows, { timeZone })) }
+};
+
+// The zone XLSX dates are shown in: ?tz=<IANA name>, else the server's
+function exportTimeZone(tz){
+  if(tz === undefined) return undefined;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: String(tz) }).resolvedOptions().timeZone;
+  } catch(e) {
+    throw new Error('tz must be a time zone such as Europe/Berlin');
+  }
+}
+
+function exportFilename(name, format){
+  const base = String(name || '').trim() || 'sheet';
+  const ascii = base.replace(/[^\w .-]+/g, '_');
+  return `attachment; filename="${ascii}.${format}"; filename*=UTF-8''${encodeURIComponent(base)}.${format}`;
+}
+
+// Takes the row filters of GET /rows (column values, q, from/to, under)
+// without paging; filtered rows keep their numbers from the whole sheet.
+// tz picks the time zone of XLSX dates.
+app.get('/api/sheets/:sheetId/export.:format', auth, sheetAccess('viewer'), (req,res)=>{
+  if(!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, req.params.format)) return res.status(404).json({error:"Export format must be csv, json or xlsx"});
+  const format = EXPORT_FORMATS[req.params.format];
+  const sheet = readSheet(req.sheetInfo.id);
+  if(!sheet) return res.status(404).json({error:"Sheet is empty"});
+  const { tz, ...filters } = req.query;
+  let rows, timeZone;
+  try {
+    rows = filterRows(sheet, filters);
+    timeZone = exportTimeZone(tz);
+  } catch(e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const revision = sheetRevision(req.sheetInfo);
+  res.set('ETag', revisionEtag(revision));
+  res.set('Content-Type', format.type);
+  res.set('Content-Disposition', exportFilename(req.sheetInfo.name, req.params.format));
+  return res.send(format.render(sheet, rows, timeZone));
+});
+
+/* =======================
+   Per-task API: single rows by id (lib/row_query.js)
+   ======================= */
+// If-Match is optional for single rows: without it a change applies to the
+// current revision, like an edit in the browser
+function revisionIfGiven(req, res, next){
+  if(!req.headers['if-match']) return next();
+  return requireRevision(req, res, next);
+}
+
+function annotatedRow(sheet, rowId){
+  return annotateRows(sheet).find(r => r.id === rowId) || null;
+}
+
+// Applies ops and saves them as one revision, as POST /ops does; returns the
+// saved sheet and revision, or null after answering with the error
+function saveRowOps(req, res, ops){
+  let sheet;
+  try {
+    sheet = applyOps(readSheet(req.sheetInfo.id), ops);
+  } catch(e) {
+    res.status(400).json({ error: e.message });
+    return null;
+  }
+  const problems = validateSheet(sheet);
+  if(problems.length) { invalidSheet(res, problems); return null; }
+  const revision = saveRevision(req, sheet);
+  live.publish(req.sheetInfo.id, 'ops', { revision, author: req.user, clientId: req.get('X-Client-Id') || null, ops });
+  res.set('ETag', revisionEtag(revision));
+  return { sheet, revision };
+}
+
+// Loads the sheet and the :rowId row, or answers 404
+function findRow(req, res){
+  const sheet = readSheet(req.sheetInfo.id);
+  const row = sheet && sheet.rows.find(r => r.id === req.params.rowId);
+  if(!row) { res.status(404).json({error:"Row not found"}); return null; }
+  return { sheet, row };
+}
+
+app.get('/api/sheets/:sheetId/rows', auth, sheetAccess('viewer'), (req,res)=>{
+  const sheet = readSheet(req.sheetInfo.id);
+  let result;
+  try {
+    result = queryRows(sheet, req.query);
+  } catch(e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const revision = sheetRevision(req.sheetInfo);
+  res.set('ETag', revisionEtag(revision));
+  return res.json(Object.assign({ revision, columns: sheet ? sheet.columns : [] }, result));
+});
+
+app.get('/api/sheets/:sheetId/rows/:rowId', auth, sheetAccess('viewer'), (req,res)=>{
+  const found = findRow(req, res);
+  if(!found) return;
+  const revision = sheetRevision(req.sheetInfo);
+  res.set('ETag', revisionEtag(revision));
+  return res.json({ revision, columns: found.sheet.columns, row: annotatedRow(found.sheet, found.row.id) });
+});
+
+// Body: { cells: { <column>: value }, parent, after }. New rows get the
+// browser's defaults (creation time in the first column, Status "To be
+// started") and go at the end, or below the parent's last sub-row.
+app.post('/api/sheets/:sheetId/rows', auth, sheetAccess('editor'), revisionIfGiven, (req,res)=>{
+  const current = readSheet(req.sheetInfo.id);
+  if(!current) return res.status(400).json({error:"Sheet is empty; save it in full first"});
+  let op;
+  try {
+    op = insertRowOp(current, req.body);
+  } catch(e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const saved = saveRowOps(req, res, [op]);
+  if(!saved) return;
+  return res.status(201).json({ success:true, revision: saved.revision, row: annotatedRow(saved.sheet, op.row.id) });
+});
+
+// Body: { cells: { <column>: value }, collapsed, parent, after }; parent or
+// after moves the row with its sub-rows
+app.patch('/api/sheets/:sheetId/rows/:rowId', auth, sheetAccess('editor'), revisionIfGiven, (req,res)=>{
+  const found = findRow(req, res);
+  if(!found) return;
+  const { cells, collapsed, parent, after } = req.body;
+  const rowId = found.row.id;
+  const ops = [];
+  try {
+    if(cells !== undefined) cellUpdates(found.sheet, cells).forEach(u => ops.push({ op: 'updateCell', rowId, col: u.col, value: u.value }));
+    rowRef(parent, 'parent');
+    rowRef(after, 'after');
+  } catch(e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if(collapsed !== undefined) ops.push({ op: 'setCollapsed', rowId, collapsed: !!collapsed });
+  if(parent !== undefined || after !== undefined) {
+    const move = { op: 'moveRow', rowId };
+    if(parent !== undefined) move.parent = parent || null;
+    // Without after: below the new parent's sub-rows, or where it is now
+    if(after !== undefined) move.after = after;
+    else if(parent) move.after = lastRowUnder(found.sheet, parent, rowId);
+    else move.after = (found.sheet.rows[found.sheet.rows.indexOf(found.row) - 1] || { id: null }).id;
+    ops.push(move);
+  }
+  if(!ops.length) return res.status(400).json({error:"Nothing to change"});
+  const saved = saveRowOps(req, res, ops);
+  if(!saved) return;
+  return res.json({ success:true, revision: saved.revision, row: annotatedRow(saved.sheet, rowId) });
+});
+
+// Deletes the row with every row nested below it
+app.delete('/api/sheets/:sheetId/rows/:rowId', auth, sheetAccess('editor'), revisionIfGiven, (req,res)=>{
+  const found = findRow(req, res);
+  if(!found) return;
+  const deleted = Array.from(subtreeIds(found.sheet, found.row.id));
+  const saved = saveRowOps(req, res, [{ op: 'deleteSubtree', rowId: found.row.id }]);
+  if(!saved) return;
+  return res.json({ success:true, revision: saved.revision, deleted });
+});
+
+// Push channel: 'ops' and 'sheet' after every save, 'presence' when someone
+// opens, leaves or moves to another row, 'revoked' when access ends
+app.get('/api/sheets/:sheetId/events', tokenFromQuery, auth, sheetAccess('viewer'), (req,res)=>{
+  // Streams opened with an API token end when the token is revoked
+  live.subscribe(req.sheetInfo.id, req.user, req.query.clientId, req.sessionId || 'token:' + req.apiToken.id, res);
+});
+
+app.post('/api/sheets/:sheetId/presence', auth, sheetAccess('viewer'), (req,res)=>{
+  const { clientId, rowId } = req.body;
+  if(!clientId) return res.status(400).json({error:"Missing clientId"});
+  if(!live.setPresence(req.sheetInfo.id, req.user, clientId, rowId)) return res.status(404).json({error:"Not connected"});
+  return res.json({ success:true });
+});
+
+app.patch('/api/sheets/:sheetId', auth, sheetAccess('owner'), (req,res)=>{
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if(!name) return res.status(400).json({error:"Missing name"});
+  const index = updateSheetIndex(index => {
+    index[req.sheetInfo.id].name = name;
+    index[req.sheetInfo.id].updatedAt = nowISO();
+  });
+  return res.json({ success:true, info: Object.assign({}, index[req.sheetInfo.id], { role: 'owner' }) });
+});
+
+app.delete('/api/sheets/:sheetId', auth, sheetAccess('owner'), (req,res)=>{
+  deleteSheet(req.sheetInfo.id);
+  webhooks.removeSheet(req.sheetInfo.id);
+  live.disconnect(req.sheetInfo.id);
+  audit.record(req, 'sheet.delete', { target: req.sheetInfo.id, details: { name: req.sheetInfo.name } });
+  return res.json({ success:true });
+});
+
+app.get('/api/sheets/:sheetId/access', auth, sheetAccess('viewer'), (req,res)=>{
+  return res.json({ owner: req.sheetInfo.owner, access: req.sheetInfo.access || {} });
+});
+
+app.post('/api/sheets/:sheetId/access', auth, sheetAccess('owner'), (req,res)=>{
+  const { username, role } = req.body;
+  if(!username || !role) return res.status(400).json({error:"Missing fields"});
+  if(role !== 'editor' && role !== 'viewer') return res.status(400).json({error:"Role must be editor or viewer"});
+  if(username === req.sheetInfo.owner) return res.status(400).json({error:"Owner already has access"});
+  if(!loadUsers()[username]) return res.status(404).json({error:"User not found"});
+  const index = updateSheetIndex(index => {
+    const info = index[req.sheetInfo.id];
+    info.access = info.access || {};
+    info.access[username] = role;
+  });
+  return res.json({ success:true, access: index[req.sheetInfo.id].access });
+});
+
+// Owners revoke anyone; other users may only remove themselves
+app.delete('/api/sheets/:sheetId/access/:username', auth, sheetAccess('viewer'), (req,res)=>{
+  const { username } = req.params;
+  if(req.sheetRole !== 'owner' && username !== req.user) return res.status(403).json({error:"Forbidden"});
+  const access = req.sheetInfo.access || {};
+  if(!access[username]) return res.status(404).json({error:"No access to revoke"});
+  const index = updateSheetIndex(index => {
+    delete index[req.sheetInfo.id].access[username];
+  });
+  live.disconnect(req.sheetInfo.id, username);
+  return res.json({ success:true, access: index[req.sheetInfo.id].access });
+});
+
+/* =======================
+   Outgoing webhooks (lib/webhooks.js); owners only, since they see the
+   receiving URLs and delivery payloads
+   ======================= */
+app.get('/api/sheets/:sheetId/webhooks', auth, sheetAccess('owner'), (req,res)=>{
+  return res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.list(req.sheetInfo.id) });
+});
+
+// Body: { url, events, active? }; the signing secret is only returned here
+app.post('/api/sheets/:sheetId/webhooks', auth, sheetAccess('owner'), (req,res)=>{
+  try {
+    const { webhook, secret } = webhooks.create(req.sheetInfo.id, req.body, req.user);
+    return res.json({ success:true, webhook, secret });
+  } catch(e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+app.patch('/api/sheets/:sheetId/webhooks/:hookId', auth, sheetAccess('owner'), (req,res)=>{
+  let webhook;
+  try {
+    webhook = webhooks.update(req.sheetInfo.id, req.params.hookId, req.body);
+  } catch(e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if(!webhook) return res.status(404).json({error:"Webhook not found"});
+  return res.json({ success:true, webhook });
+});
+
+app.delete('/api/sheets/:sheetId/webhooks/:hookId', auth, sheetAccess('owner'), (req,res)=>{
+  if(!webhooks.remove(req.sheetInfo.id, req.params.hookId)) return res.status(404).json({error:"Webhook not found"});
   return res.json({ success:true });
 });
 
+app.get('/api/sheets/:sheetId/webhooks/:hookId/deliveries', auth, sheetAccess('owner'), (req,res)=>{
+  const deliveries = webhooks.deliveries(req.sheetInfo.id, req.params.hookId);
+  if(!deliveries) return res.status(404).json({error:"Webhook not found"});
+  return res.json({ deliveries });
+});
+
+app.post('/api/sheets/:sheetId/webhooks/:hookId/ping', auth, sheetAccess('owner'), (req,res)=>{
+  const deliveryId = webhooks.ping(req.sheetInfo.id, req.params.hookId, req.sheetInfo.name, req.user);
+  if(!deliveryId) return res.status(404).json({error:"Webhook not found"});
+  return res.json({ success:true, deliveryId });
+});
+
+app.post('/api/sheets/:sheetId/webhooks/:hookId/deliveries/:deliveryId/redeliver', auth, sheetAccess('owner'), (req,res)=>{
+  const deliveryId = webhooks.redeliver(req.sheetInfo.id, req.params.hookId, req.params.deliveryId);
+  if(!deliveryId) return res.status(404).json({error:"Delivery not found"});
+  return res.json({ success:true, deliveryId });
+});
+
+app.get('/api/sheets/:sheetId/history', auth, sheetAccess('viewer'), (req,res)=>{
+  const versions = loadHistory(req.sheetInfo.id).slice().reverse();
+  return res.json({ versions });
+});
+
+app.get('/api/sheets/:sheetId/history/:revision', auth, sheetAccess('viewer'), (req,res)=>{
+  const revision = parseInt(req.params.revision, 10);
+  const version = loadHistory(req.sheetInfo.id).find(v => v.revision === revision);
+  if(!version) return res.status(404).json({error:"Version not found"});
+  return res.json({ version, sheet: readVersion(req.sheetInfo.id, revision) });
+});
+
+// Restoring never rewrites history: the old version becomes a new revision
+app.post('/api/sheets/:sheetId/history/:revision/restore', auth, sheetAccess('editor'), (req,res)=>{
+  const revision = parseInt(req.params.revision, 10);
+  const version = loadHistory(req.sheetInfo.id).find(v => v.revision === revision);
+  if(!version) return res.status(404).json({error:"Version not found"});
+  const sheet = readVersion(req.sheetInfo.id, revision);
+  const restored = saveRevision(req, sheet, { restoredFrom: revision });
+  live.publish(req.sheetInfo.id, 'sheet', { revision: restored, author: req.user, clientId: req.get('X-Client-Id') || null });
+  res.set('ETag', revisionEtag(restored));
+  return res.json({ success:true, revision: restored });
+});
+
 // serve static files for public folder (index.html, style.css, script.js)
 app.use('/', express.static(path.join(__dirname, 'public')));
+// modules used by both server and browser
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, ()=> console.log("LightTaskSheet server running on port", PORT));
+app.listen(PORT, ()=> {
+  console.log("LightTaskSheet server running on port", PORT);
+  webhooks.resume();
+});
@@ -0,0 +1,50 @@
+/*
+ LightTaskSheet - shared/sheet_export.js
+ The JSON, CSV and XLSX exports, shared by the browser's export buttons,
+ the server's export endpoints and the lts command line client, so a file
+ is the same whichever one wrote it. Loaded with require() and as
+ window.SheetExport in the browser (after sheet_tree.js and sheet_xlsx.js).
+  - JSON: the sheet with hierarchyNumber and nestingLevel on every row
+  - CSV:  a "#" column with the hierarchy number indented two spaces per
+          level, then one column per sheet column
+  - XLSX: see shared/sheet_xlsx.js
+ Each takes the rows to export as a second argument, as annotateRows gives
+ them (default: the whole sheet), so a filtered export keeps the numbers
+ the rows have in the whole sheet.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./sheet_tree'), require('./sheet_xlsx'));
+  else root.SheetExport = factory(root.SheetTree, root.SheetXlsx);
+})(typeof self !== 'undefined' ? self : this, function(SheetTree, SheetXlsx){
+
+function exportData(sheet, rows){
+  return Object.assign({}, sheet, { rows: rows || SheetTree.annotateRows(sheet) });
+}
+
+function toJSON(sheet, rows){
+  return JSON.stringify(exportData(sheet, rows), null, 2);
+}
+
+function csvCell(cell){
+  if(typeof cell === 'string' && cell.includes(',')) {
+    return `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell || '';
+}
+
+function toCSV(sheet, rows){
+  let csv = '#,' + sheet.columns.map(c => c.name).join(',') + '\n';
+  (rows || SheetTree.annotateRows(sheet)).forEach(row => {
+    const indentedNum = '  '.repeat(row.nestingLevel) + row.hierarchyNumber;
+    csv += [indentedNum, ...row.cells].map(csvCell).join(',') + '\n';
+  });
+  return csv;
+}
+
+// A Uint8Array; options: { timeZone } for the dates
+function toXLSX(sheet, rows, options){
+  return SheetXlsx.toXLSX(sheet, rows || SheetTree.annotateRows(sheet), options);
+}
+
+return { exportData, toJSON, toCSV, toXLSX };
+});
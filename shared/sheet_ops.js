@@ -0,0 +1,146 @@
+/*
+ LightTaskSheet - shared/sheet_ops.js
+ Row-level patch operations applied by POST /api/sheets/:sheetId/ops, and by
+ the browser to apply operations pushed from other users' saves. Loaded with
+ require() on the server and as window.SheetOps in the browser.
+ A batch is applied in order to a copy of the sheet; the first invalid
+ operation aborts the whole batch, so callers either get the fully patched
+ sheet or an error.
+
+ Operations:
+  - { op:'insertRow', row:{ id, cells, parent, collapsed }, after }  (after: row id, null = top; omitted = append)
+  - { op:'updateCell', rowId, col, value }
+  - { op:'setCollapsed', rowId, collapsed }
+  - { op:'moveRow', rowId, after, parent }  (moves the row with its sub-rows; parent optional)
+  - { op:'deleteSubtree', rowId }
+  - { op:'addColumn', column:{ name, type, color, options }, index }  (index omitted = append)
+  - { op:'removeColumn', index }
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SheetOps = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+const COLUMN_TYPES = ['text', 'date', 'number', 'dropdown'];
+
+function opError(message, opIndex){
+  const err = new Error(message);
+  err.opIndex = opIndex;
+  return err;
+}
+
+function findRowIndex(sheet, rowId){
+  return sheet.rows.findIndex(r => r.id === rowId);
+}
+
+// Ids of the row and every row below it in the parent chain
+function subtreeIds(sheet, rowId){
+  const ids = new Set([rowId]);
+  let grew = true;
+  while(grew){
+    grew = false;
+    for(const r of sheet.rows){
+      if(r.parent && ids.has(r.parent) && !ids.has(r.id)){ ids.add(r.id); grew = true; }
+    }
+  }
+  return ids;
+}
+
+// Position to insert at for an `after` row id (undefined = end, null = start)
+function insertPosition(sheet, after){
+  if(after === undefined) return sheet.rows.length;
+  if(after === null) return 0;
+  const i = findRowIndex(sheet, after);
+  return i === -1 ? -1 : i + 1;
+}
+
+const handlers = {
+  insertRow(sheet, op){
+    const row = op.row;
+    if(!row || typeof row.id !== 'string' || !row.id) throw new Error('insertRow needs a row with an id');
+    if(findRowIndex(sheet, row.id) !== -1) throw new Error(`Row ${row.id} already exists`);
+    if(!Array.isArray(row.cells) || row.cells.length !== sheet.columns.length) {
+      throw new Error(`Row ${row.id} must have ${sheet.columns.length} cells`);
+    }
+    const parent = row.parent || null;
+    if(parent && findRowIndex(sheet, parent) === -1) throw new Error(`Parent row ${parent} not found`);
+    const at = insertPosition(sheet, op.after);
+    if(at === -1) throw new Error(`Row ${op.after} not found`);
+    sheet.rows.splice(at, 0, { id: row.id, cells: row.cells.slice(), sub: !!parent, parent, collapsed: !!row.collapsed });
+  },
+
+  updateCell(sheet, op){
+    const i = findRowIndex(sheet, op.rowId);
+    if(i === -1) throw new Error(`Row ${op.rowId} not found`);
+    if(!Number.isInteger(op.col) || op.col < 0 || op.col >= sheet.columns.length) throw new Error(`Column ${op.col} out of range`);
+    if(op.value !== null && typeof op.value === 'object' && !Array.isArray(op.value)) throw new Error('Cell value must be a string, number or list');
+    sheet.rows[i].cells[op.col] = op.value === undefined ? '' : op.value;
+  },
+
+  setCollapsed(sheet, op){
+    const i = findRowIndex(sheet, op.rowId);
+    if(i === -1) throw new Error(`Row ${op.rowId} not found`);
+    sheet.rows[i].collapsed = !!op.collapsed;
+  },
+
+  moveRow(sheet, op){
+    if(findRowIndex(sheet, op.rowId) === -1) throw new Error(`Row ${op.rowId} not found`);
+    const ids = subtreeIds(sheet, op.rowId);
+    if(op.after && ids.has(op.after)) throw new Error('Cannot move a row after one of its own sub-rows');
+    if(op.parent && ids.has(op.parent)) throw new Error('Cannot move a row under one of its own sub-rows');
+    if(op.parent && findRowIndex(sheet, op.parent) === -1) throw new Error(`Parent row ${op.parent} not found`);
+    const moved = sheet.rows.filter(r => ids.has(r.id));
+    sheet.rows = sheet.rows.filter(r => !ids.has(r.id));
+    if(op.parent !== undefined) {
+      moved[0].parent = op.parent || null;
+      moved[0].sub = !!op.parent;
+    }
+    const at = insertPosition(sheet, op.after);
+    if(at === -1) throw new Error(`Row ${op.after} not found`);
+    sheet.rows.splice(at, 0, ...moved);
+  },
+
+  deleteSubtree(sheet, op){
+    if(findRowIndex(sheet, op.rowId) === -1) throw new Error(`Row ${op.rowId} not found`);
+    const ids = subtreeIds(sheet, op.rowId);
+    sheet.rows = sheet.rows.filter(r => !ids.has(r.id));
+  },
+
+  addColumn(sheet, op){
+    const col = op.column;
+    if(!col || typeof col.name !== 'string' || !col.name) throw new Error('addColumn needs a column with a name');
+    if(!COLUMN_TYPES.includes(col.type)) throw new Error(`Column type must be one of ${COLUMN_TYPES.join(', ')}`);
+    if(col.type === 'dropdown' && !Array.isArray(col.options)) throw new Error('Dropdown columns need options');
+    const index = op.index === undefined ? sheet.columns.length : op.index;
+    if(!Number.isInteger(index) || index < 0 || index > sheet.columns.length) throw new Error(`Column index ${index} out of range`);
+    sheet.columns.splice(index, 0, col);
+    for(const r of sheet.rows) r.cells.splice(index, 0, '');
+  },
+
+  removeColumn(sheet, op){
+    if(!Number.isInteger(op.index) || op.index < 0 || op.index >= sheet.columns.length) throw new Error(`Column index ${op.index} out of range`);
+    if(sheet.columns[op.index].protected) throw new Error(`Column ${sheet.columns[op.index].name} cannot be deleted`);
+    if(sheet.columns.length <= 1) throw new Error('Cannot delete all columns');
+    sheet.columns.splice(op.index, 1);
+    for(const r of sheet.rows) r.cells.splice(op.index, 1);
+  }
+};
+
+// Returns a patched copy of sheet; throws an Error with opIndex set on the first bad op
+function applyOps(sheet, ops){
+  if(!Array.isArray(ops)) throw opError('ops must be an array', null);
+  const next = JSON.parse(JSON.stringify(sheet));
+  ops.forEach((op, i) => {
+    const handler = op && Object.prototype.hasOwnProperty.call(handlers, op.op) ? handlers[op.op] : null;
+    if(!handler) throw opError(`Unknown operation ${op && op.op}`, i);
+    try {
+      handler(next, op);
+    } catch(e) {
+      throw opError(e.message, i);
+    }
+  });
+  return next;
+}
+
+return { applyOps, subtreeIds };
+});
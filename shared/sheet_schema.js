@@ -0,0 +1,162 @@
+/*
+ LightTaskSheet - shared/sheet_schema.js
+ The sheet format, shared by the server (which enforces it on every save)
+ and the browser (which upgrades imported files with it). Loaded with
+ require() on the server and as window.SheetSchema in the browser.
+
+ Sheet:  { schemaVersion, columns: [column], rows: [row] }
+ Column: { name, type: 'text'|'date'|'number'|'dropdown', color?, options? (dropdown), protected? }
+ Row:    { id, cells: [one value per column], sub, parent: row id|null, collapsed }
+
+ Migrations upgrade a sheet one schemaVersion at a time; a sheet without
+ schemaVersion is version 0 (saved before versioning existed):
+  1 - legacy shapes: string columns, array or indexed-object rows, missing
+      fields; pads or trims cells to the column count, gives rows without
+      an id or with a repeated one a stable id from their place, drops
+      dangling parents and parent cycles
+  2 - adds the protected Status column
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SheetSchema = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+const SCHEMA_VERSION = 2;
+const COLUMN_TYPES = ['text', 'date', 'number', 'dropdown'];
+const PALETTE = ['#ffd8a8','#c6f6d5','#dbeafe','#fde68a','#fbcfe8','#e6e6fa','#d1fae5','#fce7f3'];
+const STATUS_OPTIONS = ['To be started','In Progress','Pending','Completed'];
+// Only the first problems are reported; one broken column can flag every row
+const MAX_PROBLEMS = 20;
+
+function isObject(v){ return v !== null && typeof v === 'object' && !Array.isArray(v); }
+
+function validCell(v){
+  return v === null || ['string', 'number', 'boolean'].includes(typeof v) || Array.isArray(v);
+}
+
+// True when the row's parent chain leads back to the row itself
+function inCycle(byId, row){
+  const seen = new Set();
+  let p = row.parent;
+  while(p && byId.has(p) && !seen.has(p)){
+    if(p === row.id) return true;
+    seen.add(p);
+    p = byId.get(p).parent;
+  }
+  return false;
+}
+
+const MIGRATIONS = [
+  { version: 1, migrate(sheet){
+    const columns = (Array.isArray(sheet.columns) ? sheet.columns : []).map((c, i) => {
+      if(!isObject(c)) return { name: (typeof c === 'string' && c) || ('Column ' + (i+1)), type: 'text', color: PALETTE[i % PALETTE.length] };
+      return Object.assign({}, c, {
+        name: c.name || ('Column ' + (i+1)),
+        type: COLUMN_TYPES.includes(c.type) ? c.type : 'text',
+        color: c.color || PALETTE[i % PALETTE.length]
+      });
+    });
+    const rows = (Array.isArray(sheet.rows) ? sheet.rows : []).filter(r => r !== null && typeof r === 'object').map(r => {
+      let row;
+      if(Array.isArray(r)) {
+        row = { id: null, cells: r.slice(), parent: null, collapsed: false };
+      } else if(r.cells === undefined) {
+        // indexed object shape: { 0: ..., 1: ..., _id, _parent, _collapsed }
+        const cells = [];
+        for(let i = 0; i in r; i++) cells.push(r[i]);
+        row = { id: r._id, cells, parent: r._parent || null, collapsed: !!r._collapsed };
+      } else {
+        row = Object.assign({}, r, { cells: Array.isArray(r.cells) ? r.cells.slice() : [], parent: r.parent || null, collapsed: !!r.collapsed });
+      }
+      row.cells = row.cells.slice(0, columns.length).map(v => validCell(v) ? v : String(v));
+      while(row.cells.length < columns.length) row.cells.push('');
+      return row;
+    });
+    // Rows without an id or repeating one get an id made from their place,
+    // so a stored sheet that is migrated again on every read (until its next
+    // save) keeps the same ids: "row-<n>", or "<id>-<n>" for a repeat
+    const valid = r => typeof r.id === 'string' && r.id;
+    const taken = new Set(rows.filter(valid).map(r => r.id));
+    const ids = new Set();
+    rows.forEach((r, i) => {
+      if(valid(r) && !ids.has(r.id)) { ids.add(r.id); return; }
+      const base = (valid(r) ? r.id : 'row') + '-' + (i + 1);
+      let id = base;
+      for(let n = 2; ids.has(id) || taken.has(id); n++) id = base + '-' + n;
+      r.id = id;
+      ids.add(id);
+    });
+    const byId = new Map(rows.map(r => [r.id, r]));
+    rows.forEach(r => {
+      if(r.parent && (!byId.has(r.parent) || inCycle(byId, r))) r.parent = null;
+      r.sub = !!r.parent;
+    });
+    return Object.assign({}, sheet, { columns, rows });
+  }},
+
+  { version: 2, migrate(sheet){
+    if(sheet.columns.some(c => c.name === 'Status')) return sheet;
+    sheet.columns.push({ name: 'Status', type: 'dropdown', color: PALETTE[3], options: STATUS_OPTIONS.slice(), protected: true });
+    sheet.rows.forEach(r => r.cells.push('To be started'));
+    return sheet;
+  }}
+];
+
+// Returns an upgraded copy at SCHEMA_VERSION (null stays null); throws for
+// sheets from a newer version
+function migrateSheet(sheet){
+  if(sheet === null || sheet === undefined) return null;
+  if(!isObject(sheet)) throw new Error('Sheet must be an object');
+  const from = sheet.schemaVersion === undefined ? 0 : sheet.schemaVersion;
+  if(!Number.isInteger(from) || from < 0) throw new Error(`Invalid schemaVersion ${from}`);
+  if(from > SCHEMA_VERSION) throw new Error(`schemaVersion ${from} is newer than the supported ${SCHEMA_VERSION}`);
+  let next = JSON.parse(JSON.stringify(sheet));
+  MIGRATIONS.forEach(m => {
+    if(m.version > from) next = m.migrate(next);
+  });
+  next.schemaVersion = SCHEMA_VERSION;
+  return next;
+}
+
+// Lists what is wrong with a sheet at SCHEMA_VERSION; empty when it is valid
+function validateSheet(sheet){
+  const problems = [];
+  const report = msg => { if(problems.length < MAX_PROBLEMS) problems.push(msg); };
+  if(!isObject(sheet)) return ['Sheet must be an object'];
+  if(sheet.schemaVersion !== SCHEMA_VERSION) report(`schemaVersion must be ${SCHEMA_VERSION}`);
+  if(!Array.isArray(sheet.columns) || !sheet.columns.length) return problems.concat('columns must be a non-empty array');
+  if(!Array.isArray(sheet.rows)) return problems.concat('rows must be an array');
+
+  sheet.columns.forEach((c, i) => {
+    const label = `Column ${i+1}`;
+    if(!isObject(c)) return report(`${label} must be an object`);
+    if(typeof c.name !== 'string' || !c.name.trim()) report(`${label} needs a name`);
+    if(!COLUMN_TYPES.includes(c.type)) report(`${label} (${c.name}) has type "${c.type}"; expected one of ${COLUMN_TYPES.join(', ')}`);
+    if(c.color !== undefined && typeof c.color !== 'string') report(`${label} (${c.name}) color must be a string`);
+    if(c.type === 'dropdown' && (!Array.isArray(c.options) || c.options.some(o => typeof o !== 'string'))) {
+      report(`${label} (${c.name}) needs options as a list of strings`);
+    }
+  });
+
+  const byId = new Map();
+  sheet.rows.forEach((r, i) => {
+    const label = `Row ${i+1}`;
+    if(!isObject(r)) return report(`${label} must be an object`);
+    if(typeof r.id !== 'string' || !r.id) return report(`${label} needs an id`);
+    if(byId.has(r.id)) report(`${label} repeats row id ${r.id}`);
+    byId.set(r.id, r);
+    if(!Array.isArray(r.cells)) return report(`${label} (${r.id}) needs a cells array`);
+    if(r.cells.length !== sheet.columns.length) report(`${label} (${r.id}) has ${r.cells.length} cells; expected ${sheet.columns.length}`);
+    const bad = r.cells.findIndex(v => !validCell(v));
+    if(bad !== -1) report(`${label} (${r.id}) cell ${bad+1} must be text, a number or a list`);
+  });
+  sheet.rows.forEach((r, i) => {
+    if(!isObject(r) || !r.parent) return;
+    if(typeof r.parent !== 'string' || !byId.has(r.parent)) report(`Row ${i+1} (${r.id}) has parent ${r.parent}, which does not exist`);
+    else if(inCycle(byId, r)) report(`Row ${i+1} (${r.id}) is its own ancestor (parent cycle)`);
+  });
+  return problems;
+}
+
+return { SCHEMA_VERSION, COLUMN_TYPES, migrateSheet, validateSheet, inCycle };
+});
@@ -0,0 +1,68 @@
+/*
+ LightTaskSheet - shared/sheet_tree.js
+ Hierarchy numbers ("2", "2.1", "2.1.3") and nesting levels of sheet rows,
+ as shown in the # column and added by the JSON and CSV exports. Loaded with
+ require() on the server and as window.SheetTree in the browser, so the
+ numbers an API client sees are the ones on screen.
+
+ A top-level row is numbered by its place among top-level rows; a sub-row
+ gets its parent's number plus its place among that parent's sub-rows.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SheetTree = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+// Hierarchy number of every row, in row order
+function hierarchyNumbers(sheet){
+  const numbers = [];
+  const seen = new Map();       // row id -> index, rows before the current one
+  const subCounts = new Map();  // parent id -> sub-rows seen so far
+  let topCount = 0;
+  sheet.rows.forEach((row, i) => {
+    if(!row.sub) {
+      numbers.push(String(++topCount));
+    } else {
+      const n = (subCounts.get(row.parent) || 0) + 1;
+      subCounts.set(row.parent, n);
+      // A parent listed below its sub-row counts as 0, as it always has on screen
+      const parentIndex = seen.get(row.parent);
+      numbers.push((parentIndex === undefined ? '0' : numbers[parentIndex]) + '.' + n);
+    }
+    seen.set(row.id, i);
+  });
+  return numbers;
+}
+
+function hierarchyNumber(sheet, rowIndex){
+  return hierarchyNumbers(sheet)[rowIndex];
+}
+
+function levelIn(byId, row){
+  let level = 0;
+  let current = row;
+  while(current.sub && current.parent && level < byId.size) {
+    level++;
+    current = byId.get(current.parent);
+    if(!current) break;
+  }
+  return level;
+}
+
+// 0 for top-level rows, 1 for their sub-rows and so on
+function nestingLevel(sheet, row){
+  return levelIn(new Map(sheet.rows.map(r => [r.id, r])), row);
+}
+
+// Copies of the rows with hierarchyNumber and nestingLevel added
+function annotateRows(sheet){
+  const numbers = hierarchyNumbers(sheet);
+  const byId = new Map(sheet.rows.map(r => [r.id, r]));
+  return sheet.rows.map((row, i) => Object.assign({}, row, {
+    hierarchyNumber: numbers[i],
+    nestingLevel: levelIn(byId, row)
+  }));
+}
+
+return { hierarchyNumbers, hierarchyNumber, nestingLevel, annotateRows };
+});
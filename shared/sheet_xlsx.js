@@ -0,0 +1,259 @@
+/*
+ LightTaskSheet - shared/sheet_xlsx.js
+ The XLSX export: a one-sheet workbook with the column names in row 1,
+ filled with each column's color, frozen above one row per sheet row.
+  - date columns hold Excel dates (shown in options.timeZone, default the
+    local zone), number columns numbers; anything that does not parse
+    stays text
+  - sub-rows are grouped under their parent with row outline levels (at
+    most 7), collapsed and hidden as they are on screen
+  - dropdown columns get a list validation of their options (left out when
+    an option holds a comma or the list is longer than Excel allows)
+  - column widths fit the longest value, within 8 to 60 characters
+ Written as a store-only ZIP so it needs no compression library. Loaded
+ with require() and as window.SheetXlsx in the browser; shared/sheet_export.js
+ offers it as toXLSX next to the JSON and CSV exports.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SheetXlsx = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+
+const DATE_FORMAT_ID = 164;
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+const STYLE_DATE = 1, STYLE_HEADER = 2;
+const MAX_OUTLINE_LEVEL = 7;          // Excel's limit
+const MIN_WIDTH = 8, MAX_WIDTH = 60;  // in characters
+const LAST_ROW = 1048576;
+// Longest list Excel takes inline in a validation
+const MAX_LIST_CHARS = 255;
+
+function escapeXml(s){ if(s===undefined||s===null) return ''; return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+function colLetter(idx){ let s=''; let n=idx+1; while(n>0){ const rem=(n-1)%26; s = String.fromCharCode(65+rem) + s; n = Math.floor((n-1)/26); } return s; }
+
+function contentTypesXml(){ return `<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/><Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/><Override PartName="/xl/_rels/workbook.xml.rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/></Types>`; }
+function relsRelsXml(){ return `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/><Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/></Relationships>`; }
+function docPropsCoreXml(now){ return `<?xml version="1.0" encoding="UTF-8"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:creator></dc:creator><cp:lastModifiedBy></cp:lastModifiedBy><dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified></cp:coreProperties>`; }
+function docPropsAppXml(){ return `<?xml version="1.0" encoding="UTF-8"?><Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes"><Application>LightTaskSheet</Application></Properties>`; }
+function xlWorkbookXml(){ return `<?xml version="1.0" encoding="UTF-8"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>`; }
+function xlWorkbookRelsXml(){ return `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`; }
+
+// Styles: 0 plain, 1 date, 2 header without a fill, 3.. header filled with
+// fills[i] (ARGB)
+function xlStylesXml(fills){
+  const font = bold => `<font>${bold ? '<b/>' : ''}<sz val="11"/><color rgb="FF000000"/><name val="Calibri"/></font>`;
+  const fillXml = fills.map(argb => `<fill><patternFill patternType="solid"><fgColor rgb="${argb}"/><bgColor indexed="64"/></patternFill></fill>`).join('');
+  const headerXfs = fills.map((argb, i) => `<xf numFmtId="0" fontId="1" fillId="${i + 2}" borderId="0" xfId="0" applyFont="1" applyFill="1"/>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?><styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + `<numFmts count="1"><numFmt numFmtId="${DATE_FORMAT_ID}" formatCode="${DATE_FORMAT}"/></numFmts>`
+    + `<fonts count="2">${font(false)}${font(true)}</fonts>`
+    // Fills 0 and 1 are reserved by Excel
+    + `<fills count="${fills.length + 2}"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>${fillXml}</fills>`
+    + `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>`
+    + `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>`
+    + `<cellXfs count="${fills.length + 3}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>`
+    + `<xf numFmtId="${DATE_FORMAT_ID}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`
+    + `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>${headerXfs}</cellXfs>`
+    + `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+}
+
+// '#rgb' or '#rrggbb' as ARGB, null for anything else
+function argbColor(color){
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color || '').trim());
+  if(!m) return null;
+  const hex = m[1].length === 3 ? m[1].replace(/./g, ch => ch + ch) : m[1];
+  return 'FF' + hex.toUpperCase();
+}
+
+// Excel serial date (days since 1899-12-30) of an ISO time as the clock
+// shows it in timeZone; null when it is not a date Excel can hold
+function excelDate(value, clock){
+  const t = Date.parse(value);
+  if(typeof value !== 'string' || isNaN(t)) return null;
+  const parts = {};
+  clock.formatToParts(new Date(t)).forEach(p => { parts[p.type] = p.value; });
+  const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+  const serial = wall / 86400000 + 25569;
+  return serial >= 1 ? serial : null;
+}
+
+// Plain decimals only: hex, binary, exponents or leading zeros are more
+// likely ids or codes than numbers, and stay text
+function numberValue(value){
+  if(typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if(typeof value !== 'string') return null;
+  const text = value.trim();
+  return /^-?(0|[1-9]\d*)(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+function cellText(value){
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Inline list for a dropdown column's validation, or null when an option
+// holds a comma or the list is too long to go inline
+function validationList(column){
+  const options = Array.isArray(column.options) ? column.options.map(String) : [];
+  if(!options.length || options.some(o => o.includes(','))) return null;
+  const list = options.join(',');
+  return list.length > MAX_LIST_CHARS ? null : '"' + list.replace(/"/g, '""') + '"';
+}
+
+// Outline level, hidden and collapsed flags per exported row, from the
+// nesting levels and the rows' collapsed state (as on screen)
+function outline(rows){
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const parents = new Set(rows.map(r => r.parent).filter(Boolean));
+  // A filtered export starts at outline level 0
+  const base = rows.reduce((min, r) => Math.min(min, r.nestingLevel || 0), Infinity);
+  return rows.map(row => {
+    let hidden = false;
+    let p = byId.get(row.parent);
+    for(let steps = 0; p && steps < rows.length; steps++) {
+      if(p.collapsed) { hidden = true; break; }
+      p = byId.get(p.parent);
+    }
+    return {
+      level: Math.min(MAX_OUTLINE_LEVEL, (row.nestingLevel || 0) - base),
+      hidden,
+      collapsed: !!row.collapsed && parents.has(row.id)
+    };
+  });
+}
+
+// Builds the worksheet and the header fills it uses. options.timeZone:
+// the zone dates are shown in (default: the local one)
+function xlWorksheetXml(sheet, rows, options){
+  const columns = sheet.columns;
+  const clock = new Intl.DateTimeFormat('en-US', {
+    timeZone: options.timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  const fills = [];
+  const headerStyles = columns.map(col => {
+    const argb = argbColor(col.color);
+    if(!argb) return STYLE_HEADER;
+    if(!fills.includes(argb)) fills.push(argb);
+    return STYLE_HEADER + 1 + fills.indexOf(argb);
+  });
+  const widths = columns.map(col => String(col.name || '').length + 2);
+  const grow = (c, text) => { widths[c] = Math.max(widths[c], ...text.split('\n').map(line => line.length)); };
+
+  let data = `<row r="1">`;
+  columns.forEach((col, c) => {
+    data += `<c r="${colLetter(c)}1" s="${headerStyles[c]}" t="inlineStr"><is><t>${escapeXml(col.name||'')}</t></is></c>`;
+  });
+  data += `</row>`;
+  const shape = outline(rows);
+  rows.forEach((r, i) => {
+    const rr = i + 2;
+    const o = shape[i];
+    data += `<row r="${rr}"${o.level ? ` outlineLevel="${o.level}"` : ''}${o.hidden ? ' hidden="1"' : ''}${o.collapsed ? ' collapsed="1"' : ''}>`;
+    columns.forEach((col, c) => {
+      const v = r.cells ? r.cells[c] : '';
+      const ref = colLetter(c) + rr;
+      const date = col.type === 'date' ? excelDate(v, clock) : null;
+      const number = col.type === 'number' ? numberValue(v) : null;
+      if(date !== null) {
+        data += `<c r="${ref}" s="${STYLE_DATE}"><v>${date}</v></c>`;
+        grow(c, DATE_FORMAT);
+      } else if(number !== null) {
+        data += `<c r="${ref}"><v>${number}</v></c>`;
+        grow(c, String(number));
+      } else if(cellText(v) !== '') {
+        data += `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cellText(v))}</t></is></c>`;
+        grow(c, cellText(v));
+      }
+    });
+    data += `</row>`;
+  });
+
+  const maxLevel = shape.reduce((max, o) => Math.max(max, o.level), 0);
+  const lastCell = colLetter(Math.max(columns.length, 1) - 1) + (rows.length + 1);
+  const cols = columns.map((col, c) => {
+    const width = Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, widths[c])) + 2;
+    return `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`;
+  }).join('');
+  const validations = columns.map((col, c) => {
+    const list = col.type === 'dropdown' ? validationList(col) : null;
+    if(!list) return '';
+    const range = `${colLetter(c)}2:${colLetter(c)}${LAST_ROW}`;
+    return `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="${range}"><formula1>${escapeXml(list)}</formula1></dataValidation>`;
+  }).filter(Boolean);
+
+  // Parents sit above their sub-rows, so the outline buttons go at the top
+  const xml = `<?xml version="1.0" encoding="UTF-8"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + `<sheetPr><outlinePr summaryBelow="0"/></sheetPr>`
+    + `<dimension ref="A1:${lastCell}"/>`
+    + `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft"/></sheetView></sheetViews>`
+    + `<sheetFormatPr defaultRowHeight="15"${maxLevel ? ` outlineLevelRow="${maxLevel}"` : ''}/>`
+    + (cols ? `<cols>${cols}</cols>` : '')
+    + `<sheetData>${data}</sheetData>`
+    + (validations.length ? `<dataValidations count="${validations.length}">${validations.join('')}</dataValidations>` : '')
+    + `</worksheet>`;
+  return { xml, fills };
+}
+
+/* Store-only ZIP of { <path>: <text> }, as a Uint8Array */
+function zipFiles(filesMap){
+  const encoder = new TextEncoder();
+  const entries = []; let offset=0; const parts=[];
+  function le32(n){ return [n & 0xff, (n>>8)&0xff, (n>>16)&0xff, (n>>24)&0xff]; }
+  function le16(n){ return [n & 0xff, (n>>8)&0xff]; }
+  const crcTable = (function(){ const table = new Uint32Array(256); for(let i=0;i<256;i++){ let c=i; for(let k=0;k<8;k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : (c >>> 1); table[i] = c>>>0; } return table; })();
+  function crc32(buf){ let crc = 0 ^ (-1); for(let i=0;i<buf.length;i++) crc = (crc >>> 8) ^ crcTable[(crc ^ buf[i]) & 0xff]; return (crc ^ (-1)) >>> 0; }
+
+  for(const name of Object.keys(filesMap)){
+    const filename = name.replace(/\\/g,'/');
+    const data = encoder.encode(filesMap[name]); const crc = crc32(data);
+    const compressedSize = data.length; const uncompressedSize = data.length;
+    const localHeader = new Uint8Array(30 + filename.length); let p=0;
+    localHeader.set([0x50,0x4b,0x03,0x04], p); p+=4; localHeader.set(le16(20), p); p+=2; localHeader.set(le16(0), p); p+=2; localHeader.set(le16(0), p); p+=2; localHeader.set(le16(0), p); p+=2; localHeader.set(le16(0), p); p+=2;
+    localHeader.set(le32(crc), p); p+=4; localHeader.set(le32(compressedSize), p); p+=4; localHeader.set(le32(uncompressedSize), p); p+=4; localHeader.set(le16(filename.length), p); p+=2; localHeader.set(le16(0), p); p+=2;
+    localHeader.set(encoder.encode(filename), p); p+=filename.length;
+    parts.push(localHeader); parts.push(data);
+    entries.push({ name: filename, crc, compressedSize, uncompressedSize, localHeaderOffset: offset });
+    offset += localHeader.length + data.length;
+  }
+
+  const centralParts = []; let cdSize = 0;
+  for(const e of entries){
+    const filenameBytes = encoder.encode(e.name);
+    const cdfh = new Uint8Array(46 + filenameBytes.length); let p=0;
+    // version made by, needed, flags, method, time, date
+    cdfh.set([0x50,0x4b,0x01,0x02], p); p+=4; cdfh.set(le16(0x033f), p); p+=2; cdfh.set(le16(20), p); p+=2; cdfh.set(le16(0), p); p+=2; cdfh.set(le16(0), p); p+=2; cdfh.set(le16(0), p); p+=2; cdfh.set(le16(0), p); p+=2;
+    cdfh.set(le32(e.crc), p); p+=4; cdfh.set(le32(e.compressedSize), p); p+=4; cdfh.set(le32(e.uncompressedSize), p); p+=4; cdfh.set(le16(filenameBytes.length), p); p+=2; cdfh.set(le16(0), p); p+=2; cdfh.set(le16(0), p); p+=2;
+    cdfh.set(le16(0), p); p+=2; cdfh.set(le16(0), p); p+=2; cdfh.set(le32(0), p); p+=4; cdfh.set(le32(e.localHeaderOffset), p); p+=4; cdfh.set(filenameBytes, p); p+=filenameBytes.length;
+    centralParts.push(cdfh); cdSize += cdfh.length;
+  }
+
+  const cdOffset = offset; const eocd = new Uint8Array(22); let q=0;
+  eocd.set([0x50,0x4b,0x05,0x06], q); q+=4; eocd.set(le16(0), q); q+=2; eocd.set(le16(0), q); q+=2; eocd.set(le16(entries.length), q); q+=2; eocd.set(le16(entries.length), q); q+=2;
+  eocd.set(le32(cdSize), q); q+=4; eocd.set(le32(cdOffset), q); q+=4; eocd.set(le16(0), q); q+=2;
+  const all = [...parts, ...centralParts, eocd];
+  const out = new Uint8Array(all.reduce((n, part) => n + part.length, 0));
+  let at = 0;
+  all.forEach(part => { out.set(part, at); at += part.length; });
+  return out;
+}
+
+// The workbook as a Uint8Array. rows (as annotateRows gives them) default to
+// every row of the sheet. options: { timeZone (IANA name, default the local
+// one), now (ISO time for the document properties) }
+function toXLSX(sheet, rows, options){
+  options = options || {};
+  const worksheet = xlWorksheetXml(sheet, rows || sheet.rows, options);
+  return zipFiles({
+    '[Content_Types].xml': contentTypesXml(),
+    '_rels/.rels': relsRelsXml(),
+    'docProps/core.xml': docPropsCoreXml(options.now || new Date().toISOString()),
+    'docProps/app.xml': docPropsAppXml(),
+    'xl/workbook.xml': xlWorkbookXml(),
+    'xl/_rels/workbook.xml.rels': xlWorkbookRelsXml(),
+    'xl/worksheets/sheet1.xml': worksheet.xml,
+    'xl/styles.xml': xlStylesXml(worksheet.fills)
+  });
+}
+
+return { toXLSX, zipFiles, MIME_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
+});